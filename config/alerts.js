@@ -0,0 +1,19 @@
+// Alert rules, evaluated against the coins of every run
+//
+// id:        unique name, also used to remember which alerts already went out
+// type:      price_above / price_below - the price crosses `threshold` (primary currency)
+//            change_24h - the 24h change is more than `threshold` percent either way
+//            new_ath - the price reaches a new all-time high
+//            set_change - a coin enters or leaves the synced set (`change`: entered, left or both)
+// coins:     CoinGecko IDs the rule applies to (every coin when left out)
+// channels:  where to deliver: webhook, slack, discord, email (every configured channel when left out)
+// cooldownHours: minimum time between two alerts of the rule for the same coin (ALERT_COOLDOWN_HOURS)
+//
+// Apart from set_change, a rule alerts when its condition starts to hold and is re-armed once
+// it stops holding, so a coin that stays above a price only alerts once.
+module.exports = [
+  { id: 'btc-above-100k', type: 'price_above', coins: ['bitcoin'], threshold: 100000 },
+  { id: 'move-15pct-24h', type: 'change_24h', threshold: 15 },
+  { id: 'new-ath', type: 'new_ath' },
+  { id: 'set-changes', type: 'set_change', change: 'both' }
+];
@@ -0,0 +1,62 @@
+// Output fields and where each one goes
+//
+// source:    path into the CoinGecko /coins/markets object ("$now" for the sync time), or into the coin's
+//            cached /coins/{id} profile ("profile.description", see lib/profiles.js)
+// transform: applied in order to non-empty values: uppercase, lowercase, toString, number, round:<digits>, percent,
+//            html (paragraphs as RichText), htmlList (a list as a RichText bullet list)
+// default:   used when the source value is null or missing
+// type:      value type when no transform decides it (string, number, boolean, date, array)
+// requires:  only written once the coin has this ("profile": a cached profile), left as it is until then
+// optional:  group the field belongs to ("analytics", "profile", "provider"); it is only written to Webflow once WEBFLOW_OPTIONAL_FIELDS
+//            lists the group or the key, so the collection can get the slugs first
+// records:   false keeps the field out of the record destinations and data/index.json
+// editorOwned: Webflow only fills the field in while it is empty, so copy edited there is never overwritten
+// volatile:  changes every run, so it doesn't count as a change on its own
+// perCurrency: the source is read from the coin's quote in each currency (QUOTE_CURRENCIES)
+// webflow / sheets: the field slug / column header in that destination, or an object
+//            { name, pattern, transform, default } to override the field's settings there
+//
+// Webflow gets strings (the collection uses plain text fields) with '0' for missing numbers.
+// Per-currency fields go to `name` in the primary currency and to `pattern` ("{currency}" replaced
+// by the lowercase code) in every other one.
+// Sheets gets the raw values and leaves missing ones empty, with one tab per currency.
+// Profile fields go to Webflow's own field types: RichText, Link, DateTime, Option (the first category that
+// is one of the field's options) and MultiReference (the categories found in the referenced collection).
+const webflowText = (slug, pattern) => ({ name: slug, pattern, transform: 'toString', default: '0' });
+const profileField = (key, source, type, webflow) => ({ key, source: `profile.${source}`, type, requires: 'profile', optional: 'profile', records: false, webflow });
+
+module.exports = [
+  { key: 'coingecko_id', source: 'id', type: 'string', default: '', webflow: 'coingecko-id', sheets: 'coingecko_id' },
+  { key: 'name', source: 'name', type: 'string', default: '', webflow: 'name', sheets: 'name' },
+  { key: 'symbol', source: 'symbol', transform: 'uppercase', default: '', webflow: 'symbol', sheets: 'symbol' },
+  { key: 'logo_url', source: 'image', type: 'string', default: '', webflow: 'logo-url', sheets: 'logo_url' },
+  { key: 'price', source: 'current_price', type: 'number', perCurrency: true, webflow: webflowText('price-2', 'price-{currency}'), sheets: 'price' },
+  { key: 'change_24h', source: 'price_change_percentage_24h', type: 'number', perCurrency: true, webflow: webflowText('change-24h-2', 'change-24h-{currency}'), sheets: 'change_24h' },
+  { key: 'change_7d', source: 'price_change_percentage_7d_in_currency', type: 'number', perCurrency: true, webflow: webflowText('change-7d-2', 'change-7d-{currency}'), sheets: 'change_7d' },
+  { key: 'change_30d', source: 'price_change_percentage_30d_in_currency', type: 'number', perCurrency: true, webflow: webflowText('change-30d-2', 'change-30d-{currency}'), sheets: 'change_30d' },
+  { key: 'change_1y', source: 'price_change_percentage_1y_in_currency', type: 'number', perCurrency: true, webflow: webflowText('change-1y-2', 'change-1y-{currency}'), sheets: 'change_1y' },
+  { key: 'market_cap', source: 'market_cap', type: 'number', perCurrency: true, webflow: webflowText('market-cap-2', 'market-cap-{currency}'), sheets: 'market_cap' },
+  { key: 'volume_24h', source: 'total_volume', type: 'number', perCurrency: true, webflow: webflowText('volume-24h-2', 'volume-24h-{currency}'), sheets: 'volume_24h' },
+  { key: 'circulating_supply', source: 'circulating_supply', type: 'number', webflow: webflowText('circulating-supply-2'), sheets: 'circulating_supply' },
+  { key: 'total_supply', source: 'total_supply', type: 'number', webflow: webflowText('total-supply-2'), sheets: 'total_supply' },
+  { key: 'ath', source: 'ath', type: 'number', perCurrency: true, webflow: webflowText('ath-usd-4', 'ath-{currency}'), sheets: 'ath_usd' },
+  { key: 'atl', source: 'atl', type: 'number', perCurrency: true, webflow: webflowText('atl-usd-4', 'atl-{currency}'), sheets: 'atl_usd' },
+  { key: 'rank', source: 'analytics.rank', type: 'number', optional: 'analytics', webflow: webflowText('market-cap-rank'), sheets: 'rank' },
+  { key: 'rank_change', source: 'analytics.rank_change', type: 'number', optional: 'analytics', webflow: webflowText('rank-change'), sheets: 'rank_change' },
+  { key: 'dominance', source: 'analytics.dominance', type: 'number', optional: 'analytics', webflow: webflowText('dominance'), sheets: 'dominance' },
+  { key: 'volatility_7d', source: 'analytics.volatility_7d', type: 'number', optional: 'analytics', webflow: webflowText('volatility-7d'), sheets: 'volatility_7d' },
+  { key: 'volatility_30d', source: 'analytics.volatility_30d', type: 'number', optional: 'analytics', webflow: webflowText('volatility-30d'), sheets: 'volatility_30d' },
+  { key: 'pct_below_ath', source: 'analytics.pct_below_ath', type: 'number', optional: 'analytics', webflow: webflowText('pct-below-ath'), sheets: 'pct_below_ath' },
+  { key: 'sma_7d', source: 'analytics.sma_7d', type: 'number', optional: 'analytics', perCurrency: true, webflow: webflowText('sma-7d', 'sma-7d-{currency}'), sheets: 'sma_7d' },
+  { key: 'sma_30d', source: 'analytics.sma_30d', type: 'number', optional: 'analytics', perCurrency: true, webflow: webflowText('sma-30d', 'sma-30d-{currency}'), sheets: 'sma_30d' },
+  { key: 'source_provider', source: 'source_provider', type: 'string', default: '', optional: 'provider', webflow: 'source-provider', sheets: 'source_provider' },
+  { key: 'last_updated', source: '$now', type: 'date', volatile: true, webflow: 'last-updated', sheets: 'last_updated' },
+  profileField('description', 'description', 'string', { name: 'description', transform: 'html', editorOwned: true }),
+  profileField('website', 'homepage', 'string', 'website'),
+  profileField('explorer', 'explorer', 'string', 'explorer'),
+  profileField('category', 'categories', 'array', 'category'),
+  profileField('categories', 'categories', 'array', 'categories'),
+  profileField('genesis_date', 'genesis_date', 'date', 'genesis-date'),
+  profileField('contract_address', 'contract_address', 'string', 'contract-address'),
+  profileField('contract_addresses', 'contracts', 'array', { name: 'contract-addresses', transform: 'htmlList' })
+];
@@ -0,0 +1,18 @@
+// Coin IDs at the fallback market data providers (see lib/providers), by provider and CoinGecko ID
+//
+// Coins are known by their CoinGecko ID everywhere (Webflow items, chart files, the history store), so a
+// provider's coins are renamed to them on the way in. Only the IDs that differ are listed; any other ID is
+// taken to be the same at both. Replace the table with PROVIDER_ID_MAP_FILE.
+module.exports = {
+  coincap: {
+    'binancecoin': 'binance-coin',
+    'ripple': 'xrp',
+    'avalanche-2': 'avalanche',
+    'matic-network': 'polygon',
+    'near': 'near-protocol',
+    'crypto-com-chain': 'crypto-com-coin',
+    'leo-token': 'unus-sed-leo',
+    'dai': 'multi-collateral-dai',
+    'the-open-network': 'toncoin'
+  }
+};
@@ -0,0 +1,111 @@
+// Aggregate files for the front end, so the listing page renders from one small request:
+// data/index.json lists every coin with its current fields and a 7d sparkline,
+// data/market.json summarizes the market (totals, dominance, top gainers and losers)
+const fs = require('fs').promises;
+const path = require('path');
+const { config, primaryCurrency, DAY_MS } = require('./config');
+const historyStore = require('./history-store');
+const { downsampleData } = require('./charts');
+const { mapCoinFields } = require('./field-mapping');
+
+const SPARKLINE_WINDOW_MS = 7 * DAY_MS;
+
+function indexFile() {
+  return path.join(config.dataDir, 'index.json');
+}
+
+function marketFile() {
+  return path.join(config.dataDir, 'market.json');
+}
+
+// Last 7 days of stored hourly prices, downsampled to a plain list of prices
+async function buildSparkline(coinId, now) {
+  const rows = await historyStore.readSeries(coinId, 'hourly', primaryCurrency());
+  const since = now - SPARKLINE_WINDOW_MS;
+  const prices = rows
+    .filter(([ts, price]) => ts >= since && price !== null)
+    .map(([ts, price]) => [ts, price]);
+
+  return downsampleData(prices, config.aggregates.sparklinePoints).map(([, price]) => price);
+}
+
+// Entries of the current index.json by coin ID (empty when there is none yet)
+async function readIndexEntries() {
+  try {
+    const index = JSON.parse(await fs.readFile(indexFile(), 'utf8'));
+    return new Map((index.coins || []).map(entry => [entry.coingecko_id, entry]));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+}
+
+// One entry per coin, in universe order; quarantined coins keep their previous entry
+async function buildIndex(coins, { quarantinedIds = new Set(), now = Date.now() } = {}) {
+  const previous = quarantinedIds.size > 0 ? await readIndexEntries() : new Map();
+  const timestamp = new Date(now).toISOString();
+  const entries = [];
+
+  for (const coin of coins) {
+    if (quarantinedIds.has(coin.id)) {
+      if (previous.has(coin.id)) entries.push(previous.get(coin.id));
+      continue;
+    }
+
+    entries.push({
+      ...mapCoinFields(coin, { now: timestamp }),
+      sparkline_7d: await buildSparkline(coin.id, now)
+    });
+  }
+
+  return {
+    generated_at: timestamp,
+    currency: primaryCurrency(),
+    currencies: config.currencies,
+    coins: entries
+  };
+}
+
+function describeMover(coin) {
+  return {
+    coingecko_id: coin.id,
+    name: coin.name,
+    symbol: coin.symbol.toUpperCase(),
+    price: coin.current_price,
+    change_24h: coin.price_change_percentage_24h
+  };
+}
+
+// Market-wide summary from /global (when it could be fetched) and the synced coins
+function buildMarketSummary(coins, globalMarket, { quarantinedIds = new Set(), now = Date.now() } = {}) {
+  const ranked = coins
+    .filter(coin => !quarantinedIds.has(coin.id) && typeof coin.price_change_percentage_24h === 'number')
+    .sort((a, b) => b.price_change_percentage_24h - a.price_change_percentage_24h);
+  const count = config.aggregates.moversCount;
+
+  return {
+    generated_at: new Date(now).toISOString(),
+    currency: primaryCurrency(),
+    total_market_cap: globalMarket?.totalMarketCap ?? null,
+    total_volume_24h: globalMarket?.totalVolume ?? null,
+    market_cap_change_24h: globalMarket?.marketCapChange24h ?? null,
+    dominance: globalMarket?.dominance ?? {},
+    coins: coins.length,
+    top_gainers: ranked.slice(0, count).filter(coin => coin.price_change_percentage_24h > 0).map(describeMover),
+    top_losers: ranked.slice(-count).reverse().filter(coin => coin.price_change_percentage_24h < 0).map(describeMover)
+  };
+}
+
+// Write data/index.json and data/market.json (minified, they are served as is)
+async function writeAggregates(coins, globalMarket, options = {}) {
+  const index = await buildIndex(coins, options);
+  const market = buildMarketSummary(coins, globalMarket, options);
+
+  await fs.mkdir(config.dataDir, { recursive: true });
+  await fs.writeFile(indexFile(), JSON.stringify(index));
+  await fs.writeFile(marketFile(), JSON.stringify(market));
+
+  return { coins: index.coins.length };
+}
+
+module.exports = { buildIndex, buildMarketSummary, writeAggregates };
@@ -0,0 +1,222 @@
+// Alert rules engine: evaluates config/alerts.js against the run's coins and the stored price history,
+// and delivers the alerts through the notification channels
+//
+// Which conditions held and when each alert last went out are kept in the run state, so an alert
+// goes out when its condition starts to hold and not again on every run after that.
+const { config, primaryCurrency, HOUR_MS } = require('./config');
+const historyStore = require('./history-store');
+const { CHANNEL_NAMES, configuredChannels, notify } = require('./notify');
+
+const SET_CHANGES = ['entered', 'left', 'both'];
+
+function formatPrice(value) {
+  const digits = value >= 1 ? 2 : 6;
+  return `${Number(value).toLocaleString('en-US', { maximumFractionDigits: digits })} ${primaryCurrency().toUpperCase()}`;
+}
+
+function formatPercent(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+// Rule types with a condition per coin
+//   holds(coin, rule, stored)  whether the condition holds this run
+//   heldBefore(rule, stored)   whether it held before the rule's first evaluation, from the stored history
+//   message(coin, rule)        alert text
+// `stored` is { lastPrice, maxPrice } from the coin's stored history (null when there is none)
+const CONDITIONS = {
+  price_above: {
+    holds: (coin, rule) => coin.current_price >= rule.threshold,
+    // Without stored prices a cross can't be told apart from a price that was already there
+    heldBefore: (rule, stored) => stored.lastPrice === null || stored.lastPrice >= rule.threshold,
+    message: (coin, rule) => `${coin.name} crossed above ${formatPrice(rule.threshold)} (now ${formatPrice(coin.current_price)})`
+  },
+  price_below: {
+    holds: (coin, rule) => coin.current_price <= rule.threshold,
+    heldBefore: (rule, stored) => stored.lastPrice === null || stored.lastPrice <= rule.threshold,
+    message: (coin, rule) => `${coin.name} crossed below ${formatPrice(rule.threshold)} (now ${formatPrice(coin.current_price)})`
+  },
+  change_24h: {
+    holds: (coin, rule) => Math.abs(coin.price_change_percentage_24h ?? 0) >= rule.threshold,
+    heldBefore: () => false,
+    message: coin => `${coin.name} moved ${formatPercent(coin.price_change_percentage_24h)} in 24h (now ${formatPrice(coin.current_price)})`
+  },
+  // At or above both CoinGecko's ATH and every stored price
+  new_ath: {
+    holds: (coin, rule, stored) => coin.ath > 0 && coin.current_price >= Math.max(coin.ath, stored.maxPrice ?? 0),
+    heldBefore: () => false,
+    message: coin => `${coin.name} reached a new all-time high of ${formatPrice(coin.current_price)}`
+  }
+};
+
+const RULE_TYPES = [...Object.keys(CONDITIONS), 'set_change'];
+
+let cachedRules = null;
+
+// Load and check the rules file once per run
+function getAlertRules() {
+  if (!cachedRules) {
+    cachedRules = normalizeRules(require(config.alerts.file));
+  }
+  return cachedRules;
+}
+
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Alert rules must export an array of rules');
+  }
+
+  const ids = new Set();
+
+  return rules.map(rule => {
+    const problem = message => new Error(`Alert rule ${JSON.stringify(rule.id ?? rule)}: ${message}`);
+
+    if (!rule.id) throw problem('needs an id');
+    if (ids.has(rule.id)) throw problem('duplicate id');
+    ids.add(rule.id);
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw problem(`unknown type "${rule.type}" (known: ${RULE_TYPES.join(', ')})`);
+    }
+    if (['price_above', 'price_below', 'change_24h'].includes(rule.type) && !(typeof rule.threshold === 'number' && rule.threshold > 0)) {
+      throw problem('needs a positive numeric threshold');
+    }
+    if (rule.type === 'set_change' && rule.change !== undefined && !SET_CHANGES.includes(rule.change)) {
+      throw problem(`change must be one of ${SET_CHANGES.join(', ')}`);
+    }
+    const unknownChannels = (rule.channels || []).filter(name => !CHANNEL_NAMES.includes(name));
+    if (unknownChannels.length > 0) {
+      throw problem(`unknown channel(s) ${unknownChannels.join(', ')} (known: ${CHANNEL_NAMES.join(', ')})`);
+    }
+
+    return {
+      ...rule,
+      coins: rule.coins || null,
+      channels: rule.channels || null,
+      change: rule.change || 'both',
+      cooldownHours: rule.cooldownHours ?? config.alerts.cooldownHours
+    };
+  });
+}
+
+// Last and highest stored prices of a coin in the primary currency
+async function readStoredPrices(coinId) {
+  const [hourly, daily] = await Promise.all([
+    historyStore.readSeries(coinId, 'hourly', primaryCurrency()),
+    historyStore.readSeries(coinId, 'daily', primaryCurrency())
+  ]);
+  const prices = [...daily, ...hourly].map(([, price]) => price).filter(price => price > 0);
+  const last = hourly[hourly.length - 1] || daily[daily.length - 1];
+
+  return {
+    lastPrice: last && last[1] > 0 ? last[1] : null,
+    maxPrice: prices.length > 0 ? Math.max(...prices) : null
+  };
+}
+
+function alertKey(rule, coinId) {
+  return `${rule.id}:${coinId}`;
+}
+
+// Evaluate every rule; returns the alerts to send and the alert state for the next run
+// `previous` is the alert state of the last run ({ conditions, lastFired }), `setChanges` the coins
+// that entered or left the set ({ id, name, change }). Read this before the run stores new history.
+async function evaluateAlerts(coins, { previous = {}, setChanges = [], now = Date.now() } = {}) {
+  const rules = getAlertRules();
+  const previousConditions = previous.conditions || {};
+  const ruleIds = new Set(rules.map(rule => rule.id));
+  const state = { conditions: {}, lastFired: {} };
+  const alerts = [];
+  const storedPrices = new Map();
+
+  // Keep the cooldowns of rules that still exist
+  for (const [key, firedAt] of Object.entries(previous.lastFired || {})) {
+    if (ruleIds.has(key.slice(0, key.lastIndexOf(':')))) state.lastFired[key] = firedAt;
+  }
+
+  const coolingDown = (rule, key) =>
+    state.lastFired[key] && now - Date.parse(state.lastFired[key]) < rule.cooldownHours * HOUR_MS;
+  const applies = (rule, coinId) => !rule.coins || rule.coins.includes(coinId);
+
+  const fire = (rule, coin, message, value) => {
+    const key = alertKey(rule, coin.id);
+    if (coolingDown(rule, key)) return;
+    alerts.push({
+      key,
+      rule: rule.id,
+      type: rule.type,
+      channels: rule.channels,
+      coingeckoId: coin.id,
+      name: coin.name || coin.id,
+      message,
+      value: value ?? null,
+      threshold: rule.threshold ?? null,
+      at: new Date(now).toISOString()
+    });
+  };
+
+  for (const rule of rules) {
+    if (rule.type === 'set_change') {
+      for (const change of setChanges) {
+        if (!applies(rule, change.id) || (rule.change !== 'both' && rule.change !== change.change)) continue;
+        const coin = { id: change.id, name: change.name };
+        fire(rule, coin, `${change.name || change.id} ${change.change} the synced set`, change.change);
+      }
+      continue;
+    }
+
+    const condition = CONDITIONS[rule.type];
+    for (const coin of coins) {
+      if (!applies(rule, coin.id)) continue;
+
+      if (!storedPrices.has(coin.id)) storedPrices.set(coin.id, await readStoredPrices(coin.id));
+      const stored = storedPrices.get(coin.id);
+      const key = alertKey(rule, coin.id);
+      const holds = condition.holds(coin, rule, stored);
+      const heldBefore = key in previousConditions ? previousConditions[key] : condition.heldBefore(rule, stored);
+
+      state.conditions[key] = holds;
+      if (holds && !heldBefore) {
+        fire(rule, coin, condition.message(coin, rule), rule.type === 'change_24h' ? coin.price_change_percentage_24h : coin.current_price);
+      }
+    }
+  }
+
+  return { alerts, state };
+}
+
+// Send the alerts, one message per channel with the alerts routed to it
+// Returns the alert state to save: delivered alerts start their cooldown, alerts that no channel
+// took are re-armed so the next run sends them again. Webhook URLs are sent to one by one, so an alert
+// one of them took counts as delivered and isn't sent to it again. Without any channel, alerts are only logged.
+async function deliverAlerts(alerts, state) {
+  const next = { conditions: { ...state.conditions }, lastFired: { ...state.lastFired } };
+  if (alerts.length === 0) return next;
+
+  const channels = configuredChannels();
+  const delivered = new Set();
+
+  for (const channel of channels) {
+    const routed = alerts.filter(alert => !alert.channels || alert.channels.includes(channel));
+    if (routed.length === 0) continue;
+
+    const outcome = await notify({
+      title: `🔔 ${routed.length} crypto alert(s)`,
+      lines: routed.map(alert => `• ${alert.message}`),
+      payload: { alerts: routed.map(({ key, channels: _, ...alert }) => alert) }
+    }, [channel]);
+    if (outcome.sent.length > 0) routed.forEach(alert => delivered.add(alert.key));
+  }
+
+  for (const alert of alerts) {
+    const routedNowhere = !channels.some(channel => !alert.channels || alert.channels.includes(channel));
+    if (delivered.has(alert.key) || routedNowhere) {
+      next.lastFired[alert.key] = alert.at;
+    } else if (alert.key in next.conditions) {
+      next.conditions[alert.key] = false;
+    }
+  }
+
+  return next;
+}
+
+module.exports = { getAlertRules, evaluateAlerts, deliverAlerts };
@@ -0,0 +1,107 @@
+// Derived analytics per coin, from the markets response and the stored price history:
+// market cap rank and its change since the last run, share of the total crypto market cap,
+// realized volatility, distance below the all-time high and simple moving averages.
+// Each coin gets them as `coin.analytics`, so the field mapping can read "analytics.<name>".
+const { primaryCurrency, DAY_MS } = require('./config');
+const historyStore = require('./history-store');
+
+const WINDOWS = {
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS
+};
+
+// Volatility is annualized from hourly returns
+const HOURS_PER_YEAR = 24 * 365;
+
+// A window needs history reaching this close to its start to be computed at all
+const COVERAGE_SLACK_MS = DAY_MS;
+
+function round(value, digits) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+// [timestamp, price] samples in a window, or null when the history doesn't cover it
+function samplesSince(prices, since) {
+  if (prices.length === 0 || prices[0][0] > since + COVERAGE_SLACK_MS) return null;
+  return prices.filter(([ts]) => ts >= since);
+}
+
+// Annualized standard deviation of hourly log returns, in percent
+function realizedVolatility(samples) {
+  if (!samples || samples.length < 3) return null;
+
+  const returns = [];
+  for (let i = 1; i < samples.length; i++) {
+    returns.push(Math.log(samples[i][1] / samples[i - 1][1]));
+  }
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * HOURS_PER_YEAR) * 100;
+}
+
+function simpleMovingAverage(samples) {
+  if (!samples || samples.length === 0) return null;
+  return samples.reduce((sum, [, price]) => sum + price, 0) / samples.length;
+}
+
+// Stored hourly prices in the primary currency, ending with the price from this run's markets response
+async function readPrices(coin, now) {
+  const rows = await historyStore.readSeries(coin.id, 'hourly', primaryCurrency());
+  const prices = rows.filter(([, price]) => price > 0).map(([ts, price]) => [ts, price]);
+
+  const last = prices[prices.length - 1];
+  if (coin.current_price > 0 && (!last || last[0] < now)) prices.push([now, coin.current_price]);
+  return prices;
+}
+
+// Compute analytics for every coin and attach them as coin.analytics
+// Moving averages are price levels, so each quote currency gets its own copy (scaled by the
+// quote's price) for per-currency fields. Returns a Map of coin ID to analytics.
+async function computeAnalytics(coins, { previousRanks = {}, totalMarketCap = null, now = Date.now() } = {}) {
+  const results = new Map();
+
+  for (const coin of coins) {
+    const prices = await readPrices(coin, now);
+    const rank = coin.market_cap_rank ?? null;
+    const previousRank = previousRanks[coin.id] ?? null;
+    const price = coin.current_price;
+
+    const analytics = {
+      rank,
+      // Positive when the coin moved up the ranking
+      rank_change: rank !== null && previousRank !== null ? previousRank - rank : null,
+      dominance: totalMarketCap && coin.market_cap > 0 ? round(coin.market_cap / totalMarketCap * 100, 4) : null,
+      volatility_7d: round(realizedVolatility(samplesSince(prices, now - WINDOWS['7d'])), 2),
+      volatility_30d: round(realizedVolatility(samplesSince(prices, now - WINDOWS['30d'])), 2),
+      pct_below_ath: coin.ath > 0 && price > 0 ? round(Math.max(0, (coin.ath - price) / coin.ath * 100), 2) : null,
+      sma_7d: simpleMovingAverage(samplesSince(prices, now - WINDOWS['7d'])),
+      sma_30d: simpleMovingAverage(samplesSince(prices, now - WINDOWS['30d']))
+    };
+
+    coin.analytics = analytics;
+    for (const [currency, quote] of Object.entries(coin.quotes || {})) {
+      if (!quote) continue;
+      const rate = currency === primaryCurrency() ? 1 : price > 0 ? quote.current_price / price : 0;
+      quote.analytics = {
+        sma_7d: analytics.sma_7d !== null && rate > 0 ? analytics.sma_7d * rate : null,
+        sma_30d: analytics.sma_30d !== null && rate > 0 ? analytics.sma_30d * rate : null
+      };
+    }
+
+    results.set(coin.id, analytics);
+  }
+
+  return results;
+}
+
+// Current ranks, saved in the run state so the next run can compute rank changes
+function rankSnapshot(coins) {
+  const ranks = {};
+  for (const coin of coins) {
+    if (coin.market_cap_rank != null) ranks[coin.id] = coin.market_cap_rank;
+  }
+  return ranks;
+}
+
+module.exports = { computeAnalytics, rankSnapshot };
@@ -0,0 +1,84 @@
+// Picks which coins get fresh chart data this run
+// Priority: forced IDs, missing charts, coins new to the set, then the stalest charts,
+// until the run's CoinGecko request budget is used up.
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+const { getEnabledChartRanges, countHistoryRequests } = require('./charts');
+
+const PRIORITY = {
+  forced: 0,
+  missing: 1,
+  new: 2,
+  stale: 3
+};
+
+// Quote currencies with their own stored series: every one in fetch mode, the primary otherwise
+function fetchedCurrencies() {
+  return config.charts.currencyMode === 'fetch' ? config.currencies : config.currencies.slice(0, 1);
+}
+
+// last_updated of each coin's chart file (null when missing) and the requests its history update needs
+async function readChartStatus(coins, now = Date.now()) {
+  const status = new Map();
+  const ranges = getEnabledChartRanges();
+
+  for (const coin of coins) {
+    let lastUpdated = null;
+    try {
+      const chart = JSON.parse(await fs.readFile(path.join(config.charts.dir, `${coin.id}.json`), 'utf8'));
+      lastUpdated = Date.parse(chart.last_updated) || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`  ⚠️  Unreadable chart file for ${coin.id}: ${error.message}`);
+      }
+    }
+
+    // Each currency's series is checked on its own: one may still need its daily seed while another doesn't
+    let requests = 0;
+    for (const currency of fetchedCurrencies()) {
+      requests += await countHistoryRequests(coin.id, ranges, now, currency);
+    }
+    status.set(coin.id, { lastUpdated, requests });
+  }
+
+  return status;
+}
+
+// Order coins by priority and keep as many as the request budget covers
+// Returns [{ coin, reason, cost }]
+function planChartBatch(coins, { status, previousIds = [], forceIds = [], budget = Infinity }) {
+  const previous = new Set(previousIds);
+  const forced = new Set(forceIds);
+
+  const candidates = coins.map((coin, index) => {
+    // A coin without a status is planned at the most its update can cost
+    const { lastUpdated, requests } = status.get(coin.id) ||
+      { lastUpdated: null, requests: config.charts.maxRequestsPerCoin * fetchedCurrencies().length };
+
+    let reason = 'stale';
+    if (forced.has(coin.id)) reason = 'forced';
+    else if (lastUpdated === null) reason = 'missing';
+    else if (previous.size > 0 && !previous.has(coin.id)) reason = 'new';
+
+    return { coin, reason, cost: requests, lastUpdated: lastUpdated ?? 0, index };
+  });
+
+  candidates.sort((a, b) =>
+    PRIORITY[a.reason] - PRIORITY[b.reason] ||
+    a.lastUpdated - b.lastUpdated ||
+    a.index - b.index
+  );
+
+  const batch = [];
+  let spent = 0;
+  for (const candidate of candidates) {
+    if (spent + candidate.cost > budget) continue;
+    spent += candidate.cost;
+    batch.push({ coin: candidate.coin, reason: candidate.reason, cost: candidate.cost });
+  }
+
+  return batch;
+}
+
+module.exports = { readChartStatus, planChartBatch };
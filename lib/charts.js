@@ -0,0 +1,404 @@
+// Chart data: keeps the per-coin history store up to date and builds the chart views from it
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { config, primaryCurrency, HOUR_MS, DAY_MS } = require('./config');
+const historyStore = require('./history-store');
+const { fetchMarketChart } = require('./providers');
+
+// Chart ranges and the resolution each one is built from
+// Hourly ranges come from the hourly store, daily ranges from the daily store
+const CHART_RANGES = {
+  '24h': { resolution: 'hourly', durationMs: 24 * HOUR_MS },
+  '7d': { resolution: 'hourly', durationMs: 7 * DAY_MS },
+  '30d': { resolution: 'hourly', durationMs: 30 * DAY_MS },
+  '1y': { resolution: 'daily', durationMs: 365 * DAY_MS },
+  '2y': { resolution: 'daily', durationMs: 730 * DAY_MS },
+  'max': { resolution: 'daily', durationMs: Infinity }
+};
+
+// CoinGecko returns hourly granularity for 2-90 days and daily granularity above that
+const MIN_HOURLY_FETCH_DAYS = 2;
+const MAX_HOURLY_FETCH_DAYS = 90;
+
+// Files written per coin: the readable chart file plus minified and gzipped copies for the front end
+// (longest suffix first, so a file name maps back to its coin ID)
+const CHART_FILE_SUFFIXES = ['.min.json', '.json.gz', '.json'];
+
+const gzip = promisify(zlib.gzip);
+
+const GRID_BY_RESOLUTION = {
+  hourly: { name: 'hour', stepMs: HOUR_MS },
+  daily: { name: 'day', stepMs: DAY_MS }
+};
+
+// Fetch and save chart data for coins
+// Only the range missing since the last stored point is downloaded; the views are rebuilt from the store.
+// exchangeRates (primary → currency factors) is needed when other currencies are converted.
+// Returns the coin IDs attempted and saved, and the failures as { coingeckoId, error, status, body }
+async function fetchAndSaveChartData(coins, { exchangeRates = null } = {}) {
+  const outcome = { attempted: [], saved: [], failed: [], budgetExhausted: false };
+
+  // Create data directory if it doesn't exist
+  const dataDir = config.charts.dir;
+  try {
+    await fs.mkdir(dataDir, { recursive: true });
+  } catch (error) {
+    console.error('Error creating data directory:', error.message);
+  }
+  
+  const ranges = getEnabledChartRanges();
+  
+  for (let i = 0; i < coins.length; i++) {
+    const coin = coins[i];
+    console.log(`[${i + 1}/${coins.length}] Fetching charts for ${coin.name}...`);
+    outcome.attempted.push(coin.id);
+    
+    try {
+      const added = await updateHistory(coin, ranges);
+      
+      // In fetch mode every other quote currency has its own history too
+      if (config.charts.currencyMode === 'fetch') {
+        for (const currency of config.currencies.slice(1)) {
+          await updateHistory(coin, ranges, Date.now(), currency);
+        }
+      }
+      
+      const processed = await buildChartFile(coin, ranges, Date.now(), exchangeRates);
+      
+      // Save to file
+      await writeChartFiles(coin.id, processed);
+      const pointCounts = Object.values(processed.charts).map(chart => chart.points).join('/');
+      console.log(`  ✅ Stored ${added.hourly} hourly/${added.daily} daily new points, saved chart data (${pointCounts} points)`);
+      outcome.saved.push(coin.id);
+      
+    } catch (error) {
+      if (error.code === 'BUDGET_EXHAUSTED') {
+        console.log(`  ⏸️  ${error.message}, stopping chart updates for this run`);
+        outcome.budgetExhausted = true;
+        break;
+      }
+      console.error(`  ❌ Error: ${error.message}`);
+      outcome.failed.push({ coingeckoId: coin.id, error: error.message, status: error.status ?? null, body: error.body ?? null });
+    }
+  }
+  
+  return outcome;
+}
+
+// Download whatever is missing from a coin's history and merge it into the store
+// Returns the number of rows added per resolution; throws when a fetch fails
+async function updateHistory(coin, ranges, now = Date.now(), currency = primaryCurrency()) {
+  const added = { hourly: 0, daily: 0 };
+  
+  // Hourly: only the days since the last stored point
+  const lastHourly = await historyStore.getLastTimestamp(coin.id, 'hourly', currency);
+  const hourlyDays = lastHourly === null
+    ? MAX_HOURLY_FETCH_DAYS
+    : Math.min(MAX_HOURLY_FETCH_DAYS, Math.max(MIN_HOURLY_FETCH_DAYS, Math.ceil((now - lastHourly) / DAY_MS)));
+  
+  // CoinGecko ends with a live point at request time, off the hourly grid; it isn't stored, the next
+  // run's overlapping fetch brings the regular sample in its place
+  const hourlyData = await fetchMarketChart(coin.id, hourlyDays, currency);
+  const hourlyRows = historyStore.rowsFromMarketChart(hourlyData).slice(0, -1);
+  added.hourly = await historyStore.mergeSeries(coin.id, 'hourly', hourlyRows, currency);
+  
+  // Daily: seed from CoinGecko once, afterwards roll up from the hourly store
+  // A fresh fetch is only needed when the gap is wider than the hourly store can cover
+  const dailyDays = getDailyFetchDays(ranges);
+  if (dailyDays) {
+    const lastDaily = await historyStore.getLastTimestamp(coin.id, 'daily', currency);
+    const hourly = await historyStore.readSeries(coin.id, 'hourly', currency);
+    const firstHourly = hourly.length ? hourly[0][0] : now;
+    
+    if (lastDaily === null || firstHourly - lastDaily > DAY_MS) {
+      const days = lastDaily === null
+        ? dailyDays
+        : Math.max(MAX_HOURLY_FETCH_DAYS + 1, Math.ceil((now - lastDaily) / DAY_MS) + 1);
+      
+      const dailyData = await fetchMarketChart(coin.id, days, currency);
+      
+      // Drop CoinGecko's trailing "now" point; only complete days go into the daily store
+      const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+      const rows = historyStore.rowsFromMarketChart(dailyData).filter(row => row[0] < todayStart);
+      added.daily += await historyStore.mergeSeries(coin.id, 'daily', rows, currency);
+    }
+  }
+  
+  added.daily += await historyStore.rollUpDaily(coin.id, now, currency);
+  await historyStore.compactHourly(coin.id, now, currency);
+  
+  return added;
+}
+
+// Requests updateHistory will make for a coin in one currency: the hourly fetch, plus the daily one
+// when the daily series is missing or ends more than a day before the hourly store begins
+async function countHistoryRequests(coinId, ranges, now = Date.now(), currency = primaryCurrency()) {
+  if (!getDailyFetchDays(ranges)) return 1;
+  
+  const lastDaily = await historyStore.getLastTimestamp(coinId, 'daily', currency);
+  if (lastDaily === null) return 2;
+  
+  // Without hourly history, the hourly fetch brings the last MAX_HOURLY_FETCH_DAYS first
+  const hourly = await historyStore.readSeries(coinId, 'hourly', currency);
+  const firstHourly = hourly.length ? hourly[0][0] : now - MAX_HOURLY_FETCH_DAYS * DAY_MS;
+  return firstHourly - lastDaily > DAY_MS ? 2 : 1;
+}
+
+// Build the chart file contents for a coin from its stored history
+// `charts` holds the primary currency; `currencies` the other quote currencies
+async function buildChartFile(coin, ranges, now = Date.now(), exchangeRates = null) {
+  const primary = primaryCurrency();
+  const primaryRows = await readChartRows(coin.id, primary);
+  
+  const currencies = {};
+  for (const currency of config.currencies.slice(1)) {
+    let rows;
+    if (config.charts.currencyMode === 'fetch') {
+      rows = await readChartRows(coin.id, currency);
+    } else if (exchangeRates && exchangeRates[currency]) {
+      rows = {
+        hourly: convertRows(primaryRows.hourly, exchangeRates[currency]),
+        daily: convertRows(primaryRows.daily, exchangeRates[currency])
+      };
+    } else {
+      continue;
+    }
+    currencies[currency] = buildChartViews(rows.hourly, rows.daily, ranges, now);
+  }
+  
+  return {
+    coingecko_id: coin.id,
+    name: coin.name,
+    symbol: coin.symbol.toUpperCase(),
+    currency: primary,
+    charts: buildChartViews(primaryRows.hourly, primaryRows.daily, ranges, now),
+    currency_mode: config.charts.currencyMode,
+    currencies,
+    ath: coin.ath,
+    atl: coin.atl,
+    analytics: coin.analytics || null,
+    last_updated: new Date(now).toISOString()
+  };
+}
+
+// Write a coin's chart file with its .min.json and .json.gz variants
+async function writeChartFiles(coinId, data) {
+  const base = path.join(config.charts.dir, coinId);
+  const minified = JSON.stringify(data);
+  
+  await fs.writeFile(`${base}.json`, JSON.stringify(data, null, 2));
+  await fs.writeFile(`${base}.min.json`, minified);
+  await fs.writeFile(`${base}.json.gz`, await gzip(minified));
+}
+
+// Coin ID a file in the chart directory belongs to, or null for anything else
+function chartFileCoinId(file) {
+  const suffix = CHART_FILE_SUFFIXES.find(candidate => file.endsWith(candidate));
+  return suffix ? file.slice(0, -suffix.length) : null;
+}
+
+// Stored hourly and daily rows for a coin in one currency
+async function readChartRows(coinId, currency) {
+  const hourly = await historyStore.readSeries(coinId, 'hourly', currency);
+  const daily = await historyStore.readSeries(coinId, 'daily', currency);
+  
+  // Daily views end with the latest hourly sample so they reach the current price
+  const latest = hourly[hourly.length - 1];
+  const dailyWithLatest = latest && (!daily.length || latest[0] > daily[daily.length - 1][0])
+    ? [...daily, latest]
+    : daily;
+  
+  return { hourly, daily: dailyWithLatest };
+}
+
+// Scale price, market cap and volume by an exchange rate (one rate for the whole series)
+function convertRows(rows, rate) {
+  return rows.map(([ts, price, marketCap, volume]) => [
+    ts,
+    price === null ? null : price * rate,
+    marketCap === null ? null : marketCap * rate,
+    volume === null ? null : volume * rate
+  ]);
+}
+
+// Build every range's series from history rows ([timestamp, price, market_cap, volume])
+function buildChartViews(hourlyRows, dailyRows, ranges, now) {
+  const charts = {};
+  
+  for (const [key, range] of Object.entries(ranges)) {
+    const rows = range.resolution === 'daily' ? dailyRows : hourlyRows;
+    const grid = config.charts.align ? GRID_BY_RESOLUTION[range.resolution] : null;
+    const prices = prepareSeries(columnSeries(rows, 1), range.durationMs, now, grid);
+    const marketCaps = prepareSeries(columnSeries(rows, 2), range.durationMs, now, grid);
+    const volumes = prepareSeries(columnSeries(rows, 3), range.durationMs, now, grid);
+    
+    charts[key] = {
+      prices: prices.data,
+      prices_percent_change: calculatePercentageChange(prices.data),
+      market_caps: marketCaps.data,
+      market_caps_percent_change: calculatePercentageChange(marketCaps.data),
+      volumes: volumes.data,
+      volumes_percent_change: calculatePercentageChange(volumes.data),
+      interval: range.resolution,
+      points: prices.data.length,
+      aligned: grid ? grid.name : null,
+      // Timestamps of points interpolated across a gap in the source data (only when aligned)
+      filled: prices.filled
+    };
+  }
+  
+  return charts;
+}
+
+// One column of the history rows as [timestamp, value] pairs, skipping missing values
+function columnSeries(rows, column) {
+  return rows
+    .filter(row => row[column] !== null && row[column] !== undefined)
+    .map(row => [row[0], row[column]]);
+}
+
+// Coin IDs that have a chart file
+async function listChartCoinIds() {
+  try {
+    const files = await fs.readdir(config.charts.dir);
+    return [...new Set(files.map(chartFileCoinId).filter(Boolean))];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Chart ranges that are written to every chart file plus the long ranges enabled via CHART_LONG_RANGES
+function getEnabledChartRanges() {
+  const enabled = {};
+  for (const [key, range] of Object.entries(CHART_RANGES)) {
+    if (range.resolution === 'hourly' || config.charts.longRanges.includes(key)) {
+      enabled[key] = range;
+    }
+  }
+  return enabled;
+}
+
+// Work out the `days` parameter for seeding the daily store ('max' or the longest enabled range)
+// Ranges longer than CoinGecko serves keep growing locally from the daily store
+function getDailyFetchDays(ranges) {
+  const dailyRanges = Object.values(ranges).filter(range => range.resolution === 'daily');
+  if (dailyRanges.length === 0) return null;
+  
+  const longest = Math.max(...dailyRanges.map(range => range.durationMs));
+  if (!Number.isFinite(longest)) return 'max';
+  
+  return Math.ceil(longest / DAY_MS);
+}
+
+// Optionally align a series to a UTC grid, then keep the window ending at baseTime
+function prepareSeries(data, durationMs, baseTime, grid) {
+  if (!grid) {
+    return { data: getRecentData(data, durationMs, baseTime), filled: [] };
+  }
+  
+  // Align the full series first so the window edges interpolate from real neighbours
+  const aligned = alignToGrid(data, grid.stepMs);
+  const windowStart = baseTime - durationMs;
+  
+  return {
+    data: getRecentData(aligned.data, durationMs, baseTime),
+    filled: aligned.filled.filter(timestamp => timestamp >= windowStart && timestamp <= baseTime)
+  };
+}
+
+// Get data within the time window ending at baseTime (no downsampling)
+function getRecentData(data, durationMs, baseTime) {
+  if (!data || data.length === 0) return [];
+  
+  // Keep CoinGecko's own timestamps so gaps and batch differences stay visible
+  const windowStart = baseTime - durationMs;
+  return data.filter(([timestamp]) => timestamp >= windowStart && timestamp <= baseTime);
+}
+
+// Resample a series onto a UTC grid (every stepMs from the epoch) with linear interpolation
+// A grid point is "filled" when no real sample lies within half a step of it
+function alignToGrid(data, stepMs) {
+  if (!data || data.length === 0) return { data: [], filled: [] };
+  
+  const points = data.filter(([timestamp, value]) => value !== null && value !== undefined);
+  if (points.length === 0) return { data: [], filled: [] };
+  
+  const first = Math.ceil(points[0][0] / stepMs) * stepMs;
+  const last = Math.floor(points[points.length - 1][0] / stepMs) * stepMs;
+  const result = [];
+  const filled = [];
+  let j = 0;
+  
+  for (let t = first; t <= last; t += stepMs) {
+    // Advance to the last sample at or before t
+    while (j < points.length - 1 && points[j + 1][0] <= t) j++;
+    
+    const [t0, v0] = points[j];
+    const [t1, v1] = points[Math.min(j + 1, points.length - 1)];
+    const value = t1 === t0 ? v0 : v0 + ((v1 - v0) * (t - t0)) / (t1 - t0);
+    
+    const nearest = Math.min(Math.abs(t - t0), Math.abs(t1 - t));
+    if (nearest > stepMs / 2) filled.push(t);
+    
+    result.push([t, value]);
+  }
+  
+  return { data: result, filled };
+}
+
+// Downsample data to target number of points
+function downsampleData(data, targetPoints) {
+  if (!data || data.length === 0) return [];
+  if (data.length <= targetPoints) return data;
+  
+  const step = Math.floor(data.length / targetPoints);
+  const result = [];
+  
+  for (let i = 0; i < data.length; i += step) {
+    if (result.length < targetPoints) {
+      result.push(data[i]);
+    }
+  }
+  
+  // Ensure we always include the last data point
+  if (result.length < targetPoints && data.length > 0) {
+    result.push(data[data.length - 1]);
+  }
+  
+  return result;
+}
+
+// Calculate percentage change from baseline (first value)
+function calculatePercentageChange(data) {
+  if (!data || data.length === 0) return [];
+  
+  const baseline = data[0][1]; // First value
+  if (!baseline || baseline === 0) return data.map(([ts, _]) => [ts, 0]);
+  
+  return data.map(([timestamp, value]) => {
+    const percentChange = ((value - baseline) / baseline) * 100;
+    return [timestamp, parseFloat(percentChange.toFixed(2))];
+  });
+}
+
+module.exports = {
+  CHART_RANGES,
+  fetchAndSaveChartData,
+  updateHistory,
+  countHistoryRequests,
+  buildChartFile,
+  writeChartFiles,
+  chartFileCoinId,
+  buildChartViews,
+  listChartCoinIds,
+  getEnabledChartRanges,
+  getDailyFetchDays,
+  prepareSeries,
+  getRecentData,
+  alignToGrid,
+  downsampleData,
+  calculatePercentageChange
+};
@@ -0,0 +1,242 @@
+// CoinGecko API calls
+const { config, primaryCurrency } = require('./config');
+const { httpClient, responseError } = require('./http-client');
+
+const PUBLIC_API_URL = 'https://api.coingecko.com/api/v3';
+const PRO_API_URL = 'https://pro-api.coingecko.com/api/v3';
+
+// Largest page /coins/markets returns
+const MAX_PER_PAGE = 250;
+
+// Fields of a /coins/markets entry that depend on the quote currency
+const QUOTE_FIELDS = [
+  'current_price',
+  'market_cap',
+  'total_volume',
+  'high_24h',
+  'low_24h',
+  'price_change_24h',
+  'price_change_percentage_24h',
+  'price_change_percentage_7d_in_currency',
+  'price_change_percentage_30d_in_currency',
+  'price_change_percentage_1y_in_currency',
+  'ath',
+  'ath_change_percentage',
+  'atl',
+  'atl_change_percentage'
+];
+
+// Pro keys only work on the pro-api host; Demo keys (and no key at all) use the public one
+function apiUrl() {
+  return config.coingecko.apiKey && config.coingecko.plan === 'pro' ? PRO_API_URL : PUBLIC_API_URL;
+}
+
+// Host the CoinGecko requests count against, for httpClient.remaining()
+function coingeckoHost() {
+  return new URL(apiUrl()).host;
+}
+
+// GET a CoinGecko path with the API key header for the configured plan, if there is a key
+function request(pathAndQuery) {
+  const { apiKey, plan } = config.coingecko;
+  const headers = apiKey ? { [plan === 'pro' ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key']: apiKey } : {};
+  return httpClient.request(`${apiUrl()}${pathAndQuery}`, { headers });
+}
+
+async function getJson(pathAndQuery, label) {
+  const response = await request(pathAndQuery);
+
+  if (!response.ok) {
+    throw await responseError(response, `CoinGecko API error${label ? ` (${label})` : ''}`);
+  }
+
+  return await response.json();
+}
+
+async function fetchMarkets(params) {
+  const query = new URLSearchParams({
+    order: 'market_cap_desc',
+    sparkline: false,
+    price_change_percentage: '24h,7d,30d,1y',
+    ...params
+  });
+  return getJson(`/coins/markets?${query}`, 'markets');
+}
+
+// Markets for specific coin IDs, in chunks of one page each
+async function fetchMarketsByIds(ids, currency) {
+  const markets = [];
+  for (let i = 0; i < ids.length; i += MAX_PER_PAGE) {
+    const chunk = ids.slice(i, i + MAX_PER_PAGE);
+    markets.push(...await fetchMarkets({ vs_currency: currency, ids: chunk.join(','), per_page: chunk.length, page: 1 }));
+  }
+  return markets;
+}
+
+// Fetch the configured coin universe (config.universe), ranked by market cap in the primary currency:
+// the top N after ID and category exclusions, then any watchlist coins that aren't among them
+// Each coin gets `quotes`, the currency-dependent fields per configured quote currency
+async function fetchCoinUniverse() {
+  const primary = primaryCurrency();
+  const { topN, watchlist, excludeIds, excludeCategories, category } = config.universe;
+
+  const excluded = new Set(excludeIds);
+  const categoryFilters = excludeCategories.map(createCategoryFilter);
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(topN, 1));
+  const coins = [];
+  const seen = new Set();
+
+  for (let page = 1; coins.length < topN; page++) {
+    const markets = await fetchMarkets({ vs_currency: primary, per_page: perPage, page, ...(category && { category }) });
+    if (markets.length === 0) break;
+
+    // Excluded categories only need to be known down to the smallest market cap seen so far
+    const floor = markets[markets.length - 1].market_cap || 0;
+    for (const extendTo of categoryFilters) {
+      await extendTo(floor, excluded);
+    }
+
+    // Rankings can shift between pages, so a coin may show up twice
+    for (const coin of markets) {
+      if (excluded.has(coin.id) || seen.has(coin.id)) continue;
+      seen.add(coin.id);
+      coins.push(coin);
+    }
+
+    if (markets.length < perPage) break;
+  }
+  coins.splice(topN);
+
+  const missing = watchlist.filter(id => !coins.some(coin => coin.id === id));
+  if (missing.length > 0) {
+    const watched = await fetchMarketsByIds(missing, primary);
+    const unknown = missing.filter(id => !watched.some(coin => coin.id === id));
+    if (unknown.length > 0) {
+      console.log(`  ⚠️  Watchlist IDs not found on CoinGecko: ${unknown.join(', ')}`);
+    }
+    coins.push(...watched);
+  }
+
+  coins.forEach(coin => {
+    coin.quotes = { [primary]: pickQuote(coin) };
+  });
+
+  for (const currency of config.currencies.slice(1)) {
+    await attachQuotes(coins, currency);
+  }
+
+  return coins;
+}
+
+// Collects the IDs in an excluded category, largest market cap first, one page at a time
+// Returns extendTo(floor, excluded), which reads further pages until the category's
+// coins are known down to `floor` and adds them to the `excluded` set
+function createCategoryFilter(category) {
+  let page = 0;
+  let lowest = Infinity;
+  let done = false;
+
+  return async function extendTo(floor, excluded) {
+    while (!done && lowest >= floor) {
+      page++;
+      const markets = await fetchMarkets({ vs_currency: primaryCurrency(), category, per_page: MAX_PER_PAGE, page });
+      markets.forEach(coin => excluded.add(coin.id));
+
+      done = markets.length < MAX_PER_PAGE;
+      lowest = markets.length ? markets[markets.length - 1].market_cap || 0 : 0;
+    }
+  };
+}
+
+// Fetch the same coins quoted in another currency and add them to each coin's quotes
+async function attachQuotes(coins, currency) {
+  const markets = await fetchMarketsByIds(coins.map(coin => coin.id), currency);
+  const byId = new Map(markets.map(market => [market.id, market]));
+
+  for (const coin of coins) {
+    const market = byId.get(coin.id);
+    coin.quotes[currency] = market ? pickQuote(market) : null;
+  }
+}
+
+function pickQuote(market) {
+  const quote = {};
+  for (const field of QUOTE_FIELDS) {
+    quote[field] = market[field] ?? null;
+  }
+  return quote;
+}
+
+// Exchange rates from the primary currency to every other configured one
+// CoinGecko publishes BTC-based rates, so each factor is rate[currency] / rate[primary]
+async function fetchExchangeRates() {
+  const data = await getJson('/exchange_rates', 'exchange rates');
+  const primary = primaryCurrency();
+  const base = data.rates?.[primary]?.value;
+  if (!base) {
+    throw new Error(`CoinGecko has no exchange rate for ${primary}`);
+  }
+
+  const factors = { [primary]: 1 };
+  for (const currency of config.currencies.slice(1)) {
+    const rate = data.rates?.[currency]?.value;
+    if (!rate) {
+      throw new Error(`CoinGecko has no exchange rate for ${currency}`);
+    }
+    factors[currency] = rate / base;
+  }
+  return factors;
+}
+
+// Market-wide totals from /global, in the primary currency
+// dominance is CoinGecko's market cap share (%) per symbol for the largest coins
+async function fetchGlobalMarket() {
+  const { data } = await getJson('/global', 'global');
+  const primary = primaryCurrency();
+  return {
+    totalMarketCap: data?.total_market_cap?.[primary] || null,
+    totalVolume: data?.total_volume?.[primary] || null,
+    marketCapChange24h: data?.market_cap_change_percentage_24h_usd ?? null,
+    dominance: data?.market_cap_percentage || {}
+  };
+}
+
+// Fetch /market_chart for a coin; throws an HTTP_ERROR with the status and body on a non-OK response
+async function fetchMarketChart(coinId, days, currency = primaryCurrency()) {
+  const response = await request(`/coins/${coinId}/market_chart?vs_currency=${currency}&days=${days}`);
+
+  if (!response.ok) {
+    throw await responseError(response, `Failed to fetch chart data (${currency}, days=${days})`);
+  }
+
+  return await response.json();
+}
+
+// Fetch /coins/{id} without the market, ticker, community and developer data (see lib/profiles.js)
+async function fetchCoinProfile(coinId) {
+  const query = new URLSearchParams({
+    localization: false,
+    tickers: false,
+    market_data: false,
+    community_data: false,
+    developer_data: false,
+    sparkline: false
+  });
+  const response = await request(`/coins/${coinId}?${query}`);
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to fetch coin profile');
+  }
+
+  return await response.json();
+}
+
+module.exports = {
+  coingeckoHost,
+  fetchCoinUniverse,
+  fetchExchangeRates,
+  fetchGlobalMarket,
+  fetchMarketChart,
+  fetchCoinProfile,
+  pickQuote
+};
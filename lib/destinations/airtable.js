@@ -0,0 +1,123 @@
+// Airtable destination: one record per coin in a table with a field per mapping key
+const { config } = require('../config');
+const { httpClient, responseError } = require('../http-client');
+const { ID_FIELD, diffRecords, createRecordResults, recordOutcome, addOutcomes, reportRecordResults } = require('./records');
+
+const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
+
+// Airtable creates, updates and deletes at most 10 records per request
+const BATCH_SIZE = 10;
+
+function tableUrl(query = '') {
+  const { baseId, table } = config.airtable;
+  return `${AIRTABLE_API_URL}/${baseId}/${encodeURIComponent(table)}${query}`;
+}
+
+function airtableHeaders(withBody = false) {
+  const headers = { 'Authorization': `Bearer ${config.airtable.apiKey}` };
+  if (withBody) headers['Content-Type'] = 'application/json';
+  return headers;
+}
+
+function chunk(items, size = BATCH_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Every record in the table by coin ID (the first one wins when a coin has duplicates)
+async function fetchRecords() {
+  const records = new Map();
+  let offset = null;
+
+  do {
+    const query = `?pageSize=100${offset ? `&offset=${encodeURIComponent(offset)}` : ''}`;
+    const response = await httpClient.request(tableUrl(query), { headers: airtableHeaders() });
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch Airtable records');
+    }
+
+    const data = await response.json();
+    for (const record of data.records) {
+      const id = record.fields[ID_FIELD];
+      if (id && !records.has(id)) records.set(id, { ref: record.id, record: record.fields });
+    }
+    offset = data.offset;
+  } while (offset);
+
+  return records;
+}
+
+// Send records in batches of 10; returns the outcome of each record
+// In a dry run nothing is sent and every record counts as sent
+async function sendBatches(method, entries, action, body) {
+  if (config.dryRun) {
+    return entries.map(entry => recordOutcome(action, entry));
+  }
+
+  const outcomes = [];
+  for (const part of chunk(entries)) {
+    try {
+      const url = method === 'DELETE'
+        ? tableUrl(`?${part.map(entry => `records[]=${encodeURIComponent(entry.ref)}`).join('&')}`)
+        : tableUrl();
+      const response = await httpClient.request(url, {
+        method,
+        headers: airtableHeaders(method !== 'DELETE'),
+        body: method === 'DELETE' ? undefined : JSON.stringify(body(part))
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, `Airtable ${action} of ${part.length} records failed`);
+      }
+      outcomes.push(...part.map(entry => recordOutcome(action, entry)));
+    } catch (error) {
+      console.error(`  ❌ ${error.message}`);
+      outcomes.push(...part.map(entry => recordOutcome(action, entry, error)));
+    }
+  }
+
+  return outcomes;
+}
+
+function createAirtableDestination() {
+  return {
+    name: 'airtable',
+    label: 'Airtable',
+
+    isConfigured() {
+      return Boolean(config.airtable.apiKey && config.airtable.baseId);
+    },
+
+    async fetchExisting() {
+      const records = await fetchRecords();
+      console.log(`Found ${records.size} existing records in Airtable`);
+      return records;
+    },
+
+    diff(coins, records, { quarantinedIds, expiredIds, runAt }) {
+      return diffRecords('airtable', coins, records, { quarantinedIds, expiredIds, runAt });
+    },
+
+    // typecast lets Airtable convert values to the table's field types (and add select options)
+    async apply(changes) {
+      const results = createRecordResults(changes);
+      addOutcomes(results, 'updated', await sendBatches('PATCH', changes.update, 'update', part => ({
+        records: part.map(entry => ({ id: entry.ref, fields: entry.record })),
+        typecast: true
+      })));
+      addOutcomes(results, 'created', await sendBatches('POST', changes.create, 'create', part => ({
+        records: part.map(entry => ({ fields: entry.record })),
+        typecast: true
+      })));
+      addOutcomes(results, 'deleted', await sendBatches('DELETE', changes.delete, 'delete'));
+      return results;
+    },
+
+    report: reportRecordResults
+  };
+}
+
+module.exports = { createAirtableDestination };
@@ -0,0 +1,153 @@
+// Static export: data/export/coins.csv and data/export/coins.json with one record per coin
+// Quarantined coins keep their previous record, which is read back from coins.json, or from coins.csv
+// when only CSV is exported.
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../config');
+const { ID_FIELD, recordFields, coinRecord, diffRecords, createRecordResults, recordOutcome, addOutcomes, reportRecordResults } = require('./records');
+
+const FORMATS = ['csv', 'json'];
+
+function exportFile(format) {
+  return path.join(config.export.dir, `coins.${format}`);
+}
+
+// Records of the last export by coin ID (empty when there is none yet), from coins.json when JSON is
+// exported and else from coins.csv, whose values come back as text (empty for missing values)
+async function readExport() {
+  const format = config.export.formats.includes('json') ? 'json' : 'csv';
+  let records;
+  try {
+    const text = await fs.readFile(exportFile(format), 'utf8');
+    records = format === 'json' ? JSON.parse(text).coins || [] : fromCsv(text);
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+  return new Map(records.map(record => [record[ID_FIELD], { ref: record[ID_FIELD], record }]));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of a CSV file as written by toCsv (quoted values may hold commas, quotes and line breaks)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      rows.push([...row, value]);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) rows.push([...row, value]);
+  return rows;
+}
+
+// Records of a CSV export, keyed by its header row
+function fromCsv(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  return rows.map(row => Object.fromEntries(headers.map((name, index) => [name, row[index] ?? ''])));
+}
+
+function toCsv(records) {
+  const headers = recordFields().map(field => field.name);
+  const lines = [headers.join(',')];
+  for (const record of records) {
+    lines.push(headers.map(name => csvValue(record[name])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function createExportDestination() {
+  return {
+    name: 'export',
+    label: 'Export',
+
+    isConfigured() {
+      return config.export.formats.length > 0;
+    },
+
+    async fetchExisting() {
+      const unknown = config.export.formats.filter(format => !FORMATS.includes(format));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown EXPORT_FORMATS: ${unknown.join(', ')} (known: ${FORMATS.join(', ')})`);
+      }
+
+      const records = await readExport();
+      console.log(`Found ${records.size} records in the last export`);
+      return records;
+    },
+
+    // The whole file is rewritten, so the diff is only for the counts and the dry-run plan;
+    // the records to write are worked out here too
+    diff(coins, existing, { quarantinedIds, expiredIds, runAt }) {
+      const changes = diffRecords('export', coins, existing, { quarantinedIds, expiredIds, runAt });
+      const records = [];
+      for (const coin of coins) {
+        if (!quarantinedIds.has(coin.id)) {
+          records.push(coinRecord(coin, runAt));
+        } else if (existing.has(coin.id)) {
+          records.push(existing.get(coin.id).record);
+        }
+      }
+      // Coins that left the set stay in the export until they are deleted (their grace period is over and
+      // the deletion wasn't refused for going over MAX_DELETES_PER_RUN)
+      const currentIds = new Set(coins.map(coin => coin.id));
+      const deletedIds = new Set(changes.delete.map(entry => entry.id));
+      records.push(...[...existing.values()]
+        .filter(({ ref }) => !currentIds.has(ref) && !deletedIds.has(ref))
+        .map(({ record }) => record));
+      return { ...changes, records };
+    },
+
+    async apply(changes, { runAt }) {
+      const results = createRecordResults(changes);
+
+      if (!config.dryRun) {
+        await fs.mkdir(config.export.dir, { recursive: true });
+        if (config.export.formats.includes('json')) {
+          await fs.writeFile(exportFile('json'), JSON.stringify({ generated_at: runAt, coins: changes.records }, null, 2) + '\n');
+        }
+        if (config.export.formats.includes('csv')) {
+          await fs.writeFile(exportFile('csv'), toCsv(changes.records));
+        }
+        console.log(`  ✅ Wrote ${changes.records.length} records to ${config.export.formats.map(format => `coins.${format}`).join(' and ')}`);
+      }
+
+      addOutcomes(results, 'updated', changes.update.map(entry => recordOutcome('update', entry)));
+      addOutcomes(results, 'created', changes.create.map(entry => recordOutcome('create', entry)));
+      addOutcomes(results, 'deleted', changes.delete.map(entry => recordOutcome('delete', entry)));
+      return results;
+    },
+
+    report: reportRecordResults
+  };
+}
+
+module.exports = { createExportDestination };
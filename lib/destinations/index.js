@@ -0,0 +1,88 @@
+// Destinations: every place the coin data is written to implements the same interface
+//
+//   name, label                     config name ("webflow") and display name ("Webflow")
+//   isConfigured()                  whether the credentials and IDs it needs are set
+//   fetchExisting(context)          read what the destination holds now
+//   diff(coins, existing, context)  work out the changes (and record them on the dry-run plan)
+//   apply(changes, context)         write them, nothing in a dry run; returns the results
+//   report(results)                 lines for the destination's section of the run summary
+//
+// context: { quarantinedIds, expiredIds, setChanges, runAt }
+// Active destinations come from DESTINATIONS. A destination that fails is reported and the
+// others carry on.
+const { config } = require('../config');
+
+const FACTORIES = {
+  webflow: () => require('./webflow').createWebflowDestination(),
+  sheets: () => require('./sheets').createSheetsDestination(),
+  airtable: () => require('./airtable').createAirtableDestination(),
+  notion: () => require('./notion').createNotionDestination(),
+  postgres: () => require('./postgres').createPostgresDestination(),
+  export: () => require('./export').createExportDestination()
+};
+
+// Destination instances for the configured names, in order
+function createDestinations(names = config.destinations) {
+  return names.map(name => {
+    const factory = FACTORIES[name];
+    if (!factory) {
+      const error = new Error(`Unknown destination "${name}" in DESTINATIONS (known: ${Object.keys(FACTORIES).join(', ')})`);
+      error.code = 'UNKNOWN_DESTINATION';
+      throw error;
+    }
+    return factory();
+  });
+}
+
+// Read every destination; one that isn't configured is skipped, one that can't be read is failed
+// Returns one run per destination: { destination, existing, results, error, skipped, timings }
+async function fetchExisting(destinations, context) {
+  const runs = [];
+
+  for (const destination of destinations) {
+    const run = { destination, existing: null, results: null, error: null, skipped: false, timings: {} };
+    runs.push(run);
+
+    if (!destination.isConfigured()) {
+      console.log(`⚠️  ${destination.label} not configured, skipping...`);
+      run.skipped = true;
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      console.log(`\nReading ${destination.label}...`);
+      run.existing = await destination.fetchExisting(context);
+    } catch (error) {
+      console.error(`  ❌ Could not read ${destination.label}:`, error.message);
+      run.error = error;
+    }
+    run.timings.read = Date.now() - started;
+  }
+
+  return runs;
+}
+
+// Diff and apply every destination that could be read; a failure is kept on its run
+async function syncDestinations(coins, runs, context) {
+  for (const run of runs) {
+    if (run.skipped || run.error) continue;
+    const { destination } = run;
+    const started = Date.now();
+
+    try {
+      console.log(`\nSyncing ${destination.label}...`);
+      const changes = await destination.diff(coins, run.existing, context);
+      run.results = await destination.apply(changes, context);
+      console.log(config.dryRun ? `${destination.label} changes planned` : `${destination.label} updated successfully`);
+    } catch (error) {
+      console.error(`  ❌ ${destination.label} failed:`, error.message);
+      run.error = error;
+    }
+    run.timings.sync = Date.now() - started;
+  }
+
+  return runs;
+}
+
+module.exports = { createDestinations, fetchExisting, syncDestinations };
@@ -0,0 +1,176 @@
+// Notion destination: one page per coin in a database with a property per mapping key
+// Values are written in the format of each property's type; record fields the database has no
+// property for are left out.
+const { config } = require('../config');
+const { httpClient, responseError } = require('../http-client');
+const { ID_FIELD, diffRecords, createRecordResults, recordOutcome, addOutcomes, reportRecordResults } = require('./records');
+
+const NOTION_API_URL = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+
+function notionHeaders(withBody = false) {
+  const headers = {
+    'Authorization': `Bearer ${config.notion.token}`,
+    'Notion-Version': NOTION_VERSION
+  };
+  if (withBody) headers['Content-Type'] = 'application/json';
+  return headers;
+}
+
+async function notionRequest(path, method = 'GET', body) {
+  const response = await httpClient.request(`${NOTION_API_URL}${path}`, {
+    method,
+    headers: notionHeaders(body !== undefined),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw await responseError(response, `Notion ${method} ${path} failed`);
+  }
+  return response.json();
+}
+
+const plainText = parts => parts.map(part => part.plain_text).join('');
+
+// Plain value of a page property
+function readProperty(property) {
+  switch (property.type) {
+    case 'title': return plainText(property.title);
+    case 'rich_text': return plainText(property.rich_text);
+    case 'number': return property.number;
+    case 'checkbox': return property.checkbox;
+    case 'date': return property.date ? property.date.start : null;
+    case 'select': return property.select ? property.select.name : null;
+    case 'url': return property.url;
+    default: return undefined;
+  }
+}
+
+// Page property in the format of the database property type
+function writeProperty(type, value) {
+  const empty = value === null || value === undefined || value === '';
+  switch (type) {
+    case 'title': return { title: empty ? [] : [{ text: { content: String(value) } }] };
+    case 'rich_text': return { rich_text: empty ? [] : [{ text: { content: String(value) } }] };
+    case 'number': return { number: empty ? null : Number(value) };
+    case 'checkbox': return { checkbox: Boolean(value) };
+    case 'date': return { date: empty ? null : { start: String(value) } };
+    case 'select': return { select: empty ? null : { name: String(value) } };
+    case 'url': return { url: empty ? null : String(value) };
+    default: return undefined;
+  }
+}
+
+// Property types by name for the ones we can write
+async function fetchPropertyTypes() {
+  const database = await notionRequest(`/databases/${config.notion.databaseId}`);
+  const types = new Map();
+  for (const [name, property] of Object.entries(database.properties)) {
+    if (writeProperty(property.type, null) !== undefined) types.set(name, property.type);
+  }
+  return types;
+}
+
+// Every page in the database by coin ID (the first one wins when a coin has duplicates)
+async function fetchPages(types) {
+  const pages = new Map();
+  let cursor;
+
+  do {
+    const data = await notionRequest(`/databases/${config.notion.databaseId}/query`, 'POST', {
+      page_size: 100,
+      ...(cursor ? { start_cursor: cursor } : {})
+    });
+
+    for (const page of data.results) {
+      const record = {};
+      for (const [name, property] of Object.entries(page.properties)) {
+        if (types.has(name)) record[name] = readProperty(property);
+      }
+      const id = record[ID_FIELD];
+      if (id && !pages.has(id)) pages.set(id, { ref: page.id, record });
+    }
+    cursor = data.has_more ? data.next_cursor : null;
+  } while (cursor);
+
+  return pages;
+}
+
+function pageProperties(record, types) {
+  const properties = {};
+  for (const [name, value] of Object.entries(record)) {
+    properties[name] = writeProperty(types.get(name), value);
+  }
+  return properties;
+}
+
+// Send one request per page (Notion has no bulk endpoints); returns the outcome of each page
+// In a dry run nothing is sent and every page counts as sent
+async function sendEach(entries, action, send) {
+  const outcomes = [];
+
+  for (const entry of entries) {
+    if (config.dryRun) {
+      outcomes.push(recordOutcome(action, entry));
+      continue;
+    }
+
+    try {
+      await send(entry);
+      outcomes.push(recordOutcome(action, entry));
+    } catch (error) {
+      console.error(`  ❌ Notion ${action} of ${entry.id} failed:`, error.message);
+      outcomes.push(recordOutcome(action, entry, error));
+    }
+  }
+
+  return outcomes;
+}
+
+function createNotionDestination() {
+  return {
+    name: 'notion',
+    label: 'Notion',
+
+    isConfigured() {
+      return Boolean(config.notion.token && config.notion.databaseId);
+    },
+
+    async fetchExisting() {
+      const types = await fetchPropertyTypes();
+      if (!types.has(ID_FIELD)) {
+        throw new Error(`Notion database has no "${ID_FIELD}" property to match pages on`);
+      }
+
+      const pages = await fetchPages(types);
+      console.log(`Found ${pages.size} existing pages in Notion`);
+      return { types, pages };
+    },
+
+    diff(coins, { types, pages }, { quarantinedIds, expiredIds, runAt }) {
+      // Only the fields the database has a property for
+      const toRecord = record => Object.fromEntries(Object.entries(record).filter(([name]) => types.has(name)));
+      return { types, ...diffRecords('notion', coins, pages, { quarantinedIds, expiredIds, runAt, toRecord }) };
+    },
+
+    // Pages of coins outside the set are archived (Notion's delete)
+    async apply(changes) {
+      const { types } = changes;
+      const results = createRecordResults(changes);
+
+      addOutcomes(results, 'updated', await sendEach(changes.update, 'update', entry =>
+        notionRequest(`/pages/${entry.ref}`, 'PATCH', { properties: pageProperties(entry.record, types) })));
+      addOutcomes(results, 'created', await sendEach(changes.create, 'create', entry =>
+        notionRequest('/pages', 'POST', {
+          parent: { database_id: config.notion.databaseId },
+          properties: pageProperties(entry.record, types)
+        })));
+      addOutcomes(results, 'deleted', await sendEach(changes.delete, 'archive', entry =>
+        notionRequest(`/pages/${entry.ref}`, 'PATCH', { archived: true })));
+      return results;
+    },
+
+    report: reportRecordResults
+  };
+}
+
+module.exports = { createNotionDestination };
@@ -0,0 +1,124 @@
+// Postgres destination: one row per coin, keyed by coingecko_id
+// The table and any missing columns are created on the first run that writes; all writes of a
+// run happen in one transaction, so a failure leaves the table as it was.
+const { Client } = require('pg');
+const { config } = require('../config');
+const { ID_FIELD, recordFields, diffRecords, createRecordResults, recordOutcome, addOutcomes, reportRecordResults } = require('./records');
+
+const COLUMN_TYPES = {
+  number: 'double precision',
+  boolean: 'boolean',
+  date: 'timestamptz'
+};
+
+async function connect() {
+  const client = new Client({ connectionString: config.postgres.url });
+  await client.connect();
+  return client;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// "schema.table" or "table", quoted
+function tableName() {
+  return config.postgres.table.split('.').map(quoteIdentifier).join('.');
+}
+
+// Create the table, then add the columns it doesn't have yet
+async function ensureTable(client) {
+  const table = tableName();
+  await client.query(`CREATE TABLE IF NOT EXISTS ${table} (${quoteIdentifier(ID_FIELD)} text PRIMARY KEY)`);
+  for (const { name, type } of recordFields()) {
+    if (name === ID_FIELD) continue;
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${quoteIdentifier(name)} ${COLUMN_TYPES[type] || 'text'}`);
+  }
+}
+
+// Every row by coin ID; a table that doesn't exist yet is empty
+async function fetchRows() {
+  const client = await connect();
+  try {
+    const { rows } = await client.query(`SELECT * FROM ${tableName()}`);
+    return new Map(rows.map(row => [row[ID_FIELD], { ref: row[ID_FIELD], record: row }]));
+  } catch (error) {
+    // 42P01: undefined_table
+    if (error.code === '42P01') return new Map();
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
+async function upsertRow(client, record) {
+  const columns = Object.keys(record);
+  const updates = columns
+    .filter(name => name !== ID_FIELD)
+    .map(name => `${quoteIdentifier(name)} = EXCLUDED.${quoteIdentifier(name)}`);
+
+  await client.query(
+    `INSERT INTO ${tableName()} (${columns.map(quoteIdentifier).join(', ')}) ` +
+    `VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) ` +
+    `ON CONFLICT (${quoteIdentifier(ID_FIELD)}) DO UPDATE SET ${updates.join(', ')}`,
+    columns.map(name => record[name] ?? null)
+  );
+}
+
+function createPostgresDestination() {
+  return {
+    name: 'postgres',
+    label: 'Postgres',
+
+    isConfigured() {
+      return Boolean(config.postgres.url);
+    },
+
+    async fetchExisting() {
+      const rows = await fetchRows();
+      console.log(`Found ${rows.size} existing rows in Postgres`);
+      return rows;
+    },
+
+    diff(coins, rows, { quarantinedIds, expiredIds, runAt }) {
+      return diffRecords('postgres', coins, rows, { quarantinedIds, expiredIds, runAt });
+    },
+
+    async apply(changes) {
+      const results = createRecordResults(changes);
+      const writes = [...changes.update, ...changes.create];
+
+      if (!config.dryRun && (writes.length > 0 || changes.delete.length > 0)) {
+        const client = await connect();
+        try {
+          await client.query('BEGIN');
+          await ensureTable(client);
+          for (const { record } of writes) {
+            await upsertRow(client, record);
+          }
+          if (changes.delete.length > 0) {
+            await client.query(
+              `DELETE FROM ${tableName()} WHERE ${quoteIdentifier(ID_FIELD)} = ANY($1)`,
+              [changes.delete.map(entry => entry.ref)]
+            );
+          }
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK').catch(() => {});
+          throw error;
+        } finally {
+          await client.end();
+        }
+      }
+
+      addOutcomes(results, 'updated', changes.update.map(entry => recordOutcome('update', entry)));
+      addOutcomes(results, 'created', changes.create.map(entry => recordOutcome('create', entry)));
+      addOutcomes(results, 'deleted', changes.delete.map(entry => recordOutcome('delete', entry)));
+      return results;
+    },
+
+    report: reportRecordResults
+  };
+}
+
+module.exports = { createPostgresDestination };
@@ -0,0 +1,155 @@
+// Shared pieces of the record destinations (Airtable, Notion, Postgres, export): one flat record
+// per coin with a field per mapping key, matched to existing records by coingecko_id
+const { config } = require('../config');
+const { getFieldMapping, recordFieldMapping, mapCoinFields, fieldTypes } = require('../field-mapping');
+const { plan } = require('../plan');
+const { allowDeletes } = require('../guardrails');
+
+const ID_FIELD = 'coingecko_id';
+
+// Record fields in mapping order as { name, type }; per-currency fields repeat as <key>_<currency>
+// for every other quote currency
+function recordFields() {
+  const types = fieldTypes();
+  const fields = [];
+  for (const field of recordFieldMapping()) {
+    fields.push({ name: field.key, type: types[field.key] });
+    if (!field.perCurrency) continue;
+    for (const currency of config.currencies.slice(1)) {
+      fields.push({ name: `${field.key}_${currency}`, type: types[field.key] });
+    }
+  }
+  return fields;
+}
+
+// Flat record for a coin, keyed like recordFields()
+function coinRecord(coin, runAt) {
+  const { currencies = {}, ...record } = mapCoinFields(coin, { now: runAt });
+  for (const [currency, values] of Object.entries(currencies)) {
+    for (const [key, value] of Object.entries(values)) {
+      record[`${key}_${currency}`] = value;
+    }
+  }
+  return record;
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date) a = a.toISOString();
+  if (b instanceof Date) b = b.toISOString();
+  return String(a ?? '') === String(b ?? '');
+}
+
+function volatileKeys() {
+  return new Set(getFieldMapping().filter(field => field.volatile).map(field => field.key));
+}
+
+// Work out the creates, updates and deletes for a destination
+// `existing` maps coin IDs to { ref, record } (ref is whatever the destination needs to address it);
+// `toRecord` can narrow records to what the destination holds. Records of coins outside the set are kept
+// as they are until the coin's grace period is over (expiredIds), then deleted (unless there are more than
+// MAX_DELETES_PER_RUN); quarantined coins are left alone.
+// Planned changes are recorded on the dry-run plan under the destination's name.
+function diffRecords(name, coins, existing, { quarantinedIds = new Set(), expiredIds = new Set(), runAt, toRecord = record => record } = {}) {
+  const changes = { create: [], update: [], delete: [], kept: [], skipped: 0, quarantined: 0, deletesRefused: 0 };
+  const planned = plan.destinations[name] = { create: [], update: [], delete: [] };
+  const volatile = volatileKeys();
+  const currentIds = new Set(coins.map(coin => coin.id));
+
+  for (const coin of coins) {
+    if (quarantinedIds.has(coin.id)) {
+      changes.quarantined++;
+      continue;
+    }
+
+    const record = toRecord(coinRecord(coin, runAt));
+    const current = existing.get(coin.id);
+    if (!current) {
+      changes.create.push({ id: coin.id, record });
+      planned.create.push(coin.id);
+      continue;
+    }
+
+    const changed = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (!volatile.has(key) && !sameValue(current.record[key], value)) {
+        changed[key] = { from: current.record[key] ?? null, to: value ?? null };
+      }
+    }
+    if (Object.keys(changed).length === 0) {
+      changes.skipped++;
+      continue;
+    }
+    changes.update.push({ id: coin.id, ref: current.ref, record });
+    planned.update.push({ coingeckoId: coin.id, changes: changed });
+  }
+
+  const outside = [...existing.entries()].filter(([id]) => !currentIds.has(id));
+  const expired = outside.filter(([id]) => expiredIds.has(id));
+  changes.kept = outside.filter(([id]) => !expiredIds.has(id)).map(([id]) => id);
+  if (expired.length > 0 && !allowDeletes(expired.length, `${name} records`)) {
+    changes.deletesRefused = expired.length;
+  } else {
+    changes.delete = expired.map(([id, { ref }]) => ({ id, ref }));
+    planned.delete.push(...expired.map(([id]) => id));
+  }
+
+  console.log(`  ${changes.create.length} to create, ${changes.update.length} to update, ` +
+    `${changes.delete.length} to delete, ${changes.skipped} unchanged, ${changes.kept.length} kept until their grace period is over`);
+  return changes;
+}
+
+// Results of applying record changes, counted up by the destination
+// `items` holds the outcome of every record written (see recordOutcome)
+function createRecordResults(changes) {
+  return {
+    created: 0, updated: 0, deleted: 0, failed: 0,
+    skipped: changes.skipped, quarantined: changes.quarantined, kept: changes.kept.length, deletesRefused: changes.deletesRefused,
+    items: []
+  };
+}
+
+// Outcome of writing one record, for the run report
+function recordOutcome(action, entry, error = null) {
+  return {
+    coingeckoId: entry.id,
+    action,
+    ok: !error,
+    error: error ? error.message : null,
+    status: error ? error.status ?? null : null,
+    body: error ? error.body ?? null : null
+  };
+}
+
+// Count the outcomes of one action into the results
+function addOutcomes(results, key, outcomes) {
+  results.items.push(...outcomes);
+  results[key] += outcomes.filter(outcome => outcome.ok).length;
+  results.failed += outcomes.filter(outcome => !outcome.ok).length;
+}
+
+function reportRecordResults(results) {
+  const lines = [
+    `✅ Updated: ${results.updated}`,
+    `✨ Created: ${results.created}`,
+    `🗑️  Deleted: ${results.deleted}`,
+    `⏭️  Skipped (unchanged): ${results.skipped}`,
+    `❌ Failed: ${results.failed}`,
+    `🚧 Quarantined: ${results.quarantined}`,
+    `🕰️  Kept (left the set, within the grace period): ${results.kept}`
+  ];
+  if (results.deletesRefused) {
+    lines.push(`🛑 Deletions refused: ${results.deletesRefused} (over MAX_DELETES_PER_RUN)`);
+  }
+  return lines;
+}
+
+module.exports = {
+  ID_FIELD,
+  recordFields,
+  coinRecord,
+  diffRecords,
+  createRecordResults,
+  recordOutcome,
+  addOutcomes,
+  reportRecordResults
+};
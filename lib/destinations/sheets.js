@@ -0,0 +1,35 @@
+// Google Sheets destination: a tab per quote currency upserted in place, plus the history and changes tabs
+const { isConfigured, readSpreadsheet, planSheetRequests, sendSheetRequests } = require('../sheets');
+
+function createSheetsDestination() {
+  return {
+    name: 'sheets',
+    label: 'Google Sheets',
+    isConfigured,
+
+    fetchExisting() {
+      return readSpreadsheet();
+    },
+
+    diff(coins, spreadsheet, { quarantinedIds, setChanges, runAt }) {
+      return { spreadsheet, ...planSheetRequests(coins, spreadsheet, { quarantinedIds, changes: setChanges, runAt }) };
+    },
+
+    async apply({ spreadsheet, requests, ...counts }) {
+      await sendSheetRequests(spreadsheet, requests);
+      return { ...counts, requests: requests.length };
+    },
+
+    report(results) {
+      return [
+        `✨ Rows added: ${results.added}`,
+        `✅ Rows changed: ${results.changed}`,
+        `🗑️  Rows removed: ${results.removed}`,
+        `📜 Rows appended: ${results.appended}`,
+        `📨 Batch update requests: ${results.requests}`
+      ];
+    }
+  };
+}
+
+module.exports = { createSheetsDestination };
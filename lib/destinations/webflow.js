@@ -0,0 +1,85 @@
+// Webflow CMS destination: one collection item per coin, archived when the coin leaves the set
+const { config } = require('../config');
+const { validateAgainstSchema } = require('../field-mapping');
+const {
+  fetchCollectionSchema, useCollectionSchema, getAllWebflowItems, diffItems, applyItemChanges, publishItems
+} = require('../webflow');
+
+function createWebflowDestination() {
+  return {
+    name: 'webflow',
+    label: 'Webflow',
+
+    isConfigured() {
+      return Boolean(config.webflow.apiToken && config.webflow.collectionId);
+    },
+
+    // The collection items, after checking the field mapping against the collection schema
+    // (which also gives the IDs of the Option and reference field choices)
+    async fetchExisting() {
+      console.log('Fetching collection schema...');
+      const schema = await fetchCollectionSchema();
+      await useCollectionSchema(schema);
+
+      if (schema) {
+        // Fail before any writes if the field mapping doesn't fit the collection
+        const problems = validateAgainstSchema(schema);
+        if (problems.length > 0) {
+          const error = new Error(`Field mapping doesn't match the Webflow collection:\n  - ${problems.join('\n  - ')}`);
+          error.code = 'SCHEMA_MISMATCH';
+          throw error;
+        }
+      } else {
+        console.log('⚠️  Could not fetch the collection schema, skipping field mapping validation');
+      }
+
+      const items = await getAllWebflowItems();
+      console.log(`Found ${items.length} existing items in Webflow`);
+      return items;
+    },
+
+    diff(coins, items, { expiredIds, quarantinedIds }) {
+      return diffItems(coins, items, { expiredIds, quarantinedIds });
+    },
+
+    // Write the items, then publish the ones written this run to the live site
+    async apply(changes) {
+      const results = await applyItemChanges(changes);
+      if (config.webflow.publish === 'items') {
+        console.log('\nPublishing changed items...');
+        results.publish = await publishItems(results.changedItemIds);
+      }
+      return results;
+    },
+
+    report(results) {
+      const total = results.updated + results.created + results.restored + results.archived +
+        results.deleted + results.skipped + results.failed + results.quarantined;
+      const lines = [
+        `✅ Updated: ${results.updated}`,
+        `✨ Created: ${results.created}`,
+        `♻️  Restored: ${results.restored}`,
+        `📦 Archived: ${results.archived}`,
+        `🗑️  Deleted: ${results.deleted}`,
+        `⏭️  Skipped (unchanged): ${results.skipped}`,
+        `❌ Failed: ${results.failed}`,
+        `🚧 Quarantined: ${results.quarantined}`,
+        `📊 Total processed: ${total}`
+      ];
+      if (results.deletesRefused) {
+        lines.push(`🛑 Deletions refused: ${results.deletesRefused} (over MAX_DELETES_PER_RUN)`);
+      }
+      if (results.reconciled.length > 0) {
+        lines.push(`🧩 Reconciled: ${results.reconciled.length}`);
+        results.reconciled.forEach(action => lines.push(`  - ${action.message}`));
+      }
+      if (results.publish) {
+        const { mode, published, failed } = results.publish;
+        lines.push(`🚀 Published (${mode}): ${published}${failed ? `, ${failed} failed` : ''}`);
+      }
+      return lines;
+    }
+  };
+}
+
+module.exports = { createWebflowDestination };
@@ -0,0 +1,303 @@
+// Field mapping: turns a coin into the field data each destination writes,
+// driven by the declarative mapping in config/fields.js
+const { config, primaryCurrency } = require('./config');
+
+const TRANSFORMS = {
+  uppercase: value => String(value).toUpperCase(),
+  lowercase: value => String(value).toLowerCase(),
+  toString: value => value.toString(),
+  number: value => Number(value),
+  round: (value, digits = 0) => Number(Number(value).toFixed(Number(digits))),
+  percent: value => Number(value) * 100,
+  // Text with blank lines between paragraphs (CoinGecko descriptions) as RichText; tags in it are kept
+  html: value => String(value)
+    .split(/(?:\r?\n\s*){2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${paragraph.replace(/\r?\n/g, '<br>')}</p>`)
+    .join(''),
+  // A list of values as a RichText bullet list
+  htmlList: value => `<ul>${[].concat(value).map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Type each transform produces, for checking against the destination's field types
+const TRANSFORM_TYPES = {
+  uppercase: 'string',
+  lowercase: 'string',
+  toString: 'string',
+  number: 'number',
+  round: 'number',
+  percent: 'number',
+  html: 'string',
+  htmlList: 'string'
+};
+
+// Value types each Webflow field type accepts
+const WEBFLOW_TYPE_ACCEPTS = {
+  PlainText: ['string', 'date'],
+  RichText: ['string'],
+  Link: ['string'],
+  Email: ['string'],
+  Phone: ['string'],
+  Color: ['string'],
+  // Option and reference fields take names (or a list of them, the first known one wins), which
+  // lib/webflow.js turns into option and item IDs
+  Option: ['string', 'array'],
+  Reference: ['string', 'array'],
+  MultiReference: ['array', 'string'],
+  Image: ['string'],
+  Number: ['number'],
+  Switch: ['boolean'],
+  DateTime: ['date', 'string']
+};
+
+let cachedMapping = null;
+
+// Load and check the mapping file once per run
+function getFieldMapping() {
+  if (!cachedMapping) {
+    cachedMapping = normalizeMapping(require(config.fields.file));
+  }
+  return cachedMapping;
+}
+
+// Drop the cached mapping (after changing config.fields.file)
+function resetFieldMapping() {
+  cachedMapping = null;
+}
+
+// Parse "round:2" into { name: 'round', args: ['2'] }
+function parseTransform(spec) {
+  const [name, ...args] = spec.split(':');
+  if (!TRANSFORMS[name]) {
+    throw new Error(`Unknown transform "${spec}"`);
+  }
+  return { name, args };
+}
+
+function toList(transform) {
+  if (!transform) return [];
+  return Array.isArray(transform) ? transform : [transform];
+}
+
+// Optional fields only go to Webflow once WEBFLOW_OPTIONAL_FIELDS lists them, since the collection
+// needs the slugs first and the schema check fails on any it doesn't have
+function webflowEnabled(field) {
+  if (!field.optional) return true;
+  const enabled = config.fields.webflowOptional;
+  return enabled.includes('all') || enabled.includes(field.optional) || enabled.includes(field.key);
+}
+
+// Resolve each field's per-destination settings and fail on malformed entries
+function normalizeMapping(fields) {
+  if (!Array.isArray(fields)) {
+    throw new Error('Field mapping must export an array of fields');
+  }
+
+  const keys = new Set();
+
+  return fields.map(field => {
+    if (!field.key || !field.source) {
+      throw new Error(`Field mapping entry needs a key and a source: ${JSON.stringify(field)}`);
+    }
+    if (keys.has(field.key)) {
+      throw new Error(`Duplicate field mapping key "${field.key}"`);
+    }
+    keys.add(field.key);
+
+    const destinations = {};
+    for (const destination of ['webflow', 'sheets']) {
+      const target = field[destination];
+      if (!target) continue;
+      if (destination === 'webflow' && !webflowEnabled(field)) continue;
+
+      const settings = typeof target === 'string' ? { name: target } : target;
+      const transform = settings.transform !== undefined ? toList(settings.transform) : toList(field.transform);
+      transform.forEach(parseTransform);
+
+      destinations[destination] = {
+        name: settings.name,
+        pattern: settings.pattern || null,
+        transform,
+        default: settings.default !== undefined ? settings.default : field.default,
+        // Only written while the destination's value is empty, so edits made there are kept
+        editorOwned: Boolean(settings.editorOwned ?? field.editorOwned)
+      };
+    }
+
+    return { ...field, destinations };
+  });
+}
+
+// Read a dotted path ("analytics.volatility_7d") from an object
+function getPath(object, sourcePath) {
+  return sourcePath.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function resolveSource(coin, field, context) {
+  if (field.source === '$now') return context.now;
+  if (!field.perCurrency) return getPath(coin, field.source);
+
+  // Fall back to the coin itself for the primary currency when no quotes were attached
+  const quote = coin.quotes?.[context.currency];
+  if (quote) return getPath(quote, field.source);
+  return context.currency === primaryCurrency() ? getPath(coin, field.source) : undefined;
+}
+
+function applyTransforms(value, transforms) {
+  return transforms.reduce((current, spec) => {
+    const { name, args } = parseTransform(spec);
+    return TRANSFORMS[name](current, ...args);
+  }, value);
+}
+
+// Value for one field in one destination
+function mapValue(coin, field, target, context) {
+  const value = resolveSource(coin, field, context);
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return target.default !== undefined ? target.default : null;
+  }
+  return applyTransforms(value, target.transform);
+}
+
+// Names a field is written to in a destination, with the currency each one carries
+// Without a fixed currency, per-currency fields expand to `pattern` for every non-primary currency
+function targetNames(field, target, currency) {
+  const primary = primaryCurrency();
+  if (currency || !field.perCurrency || !target.pattern) {
+    return [{ name: target.name, currency: currency || primary }];
+  }
+
+  return config.currencies.map(code => ({
+    name: code === primary ? target.name : target.pattern.replace('{currency}', code),
+    currency: code
+  }));
+}
+
+// Field data for a coin in a destination, keyed by the destination's field name
+// context.currency fixes the quote currency (one Sheets tab per currency); without it
+// per-currency fields are written once per configured currency (Webflow)
+// Fields that require something the coin doesn't have yet (a cached profile) are left out.
+function mapCoin(coin, destination, context = {}) {
+  const now = context.now || new Date().toISOString();
+  const result = {};
+  for (const field of getFieldMapping()) {
+    const target = field.destinations[destination];
+    if (!target || (field.requires && !coin[field.requires])) continue;
+    for (const { name, currency } of targetNames(field, target, context.currency)) {
+      result[name] = mapValue(coin, field, target, { now, currency });
+    }
+  }
+  return result;
+}
+
+// Fields of the record destinations and data/index.json (all but those with `records: false`)
+function recordFieldMapping() {
+  return getFieldMapping().filter(field => field.records !== false);
+}
+
+// Every record field by its mapping key, with the field's own transform and default (no destination
+// overrides). Per-currency fields hold the primary currency; with more currencies configured,
+// `currencies` holds them again per other currency
+function mapCoinFields(coin, context = {}) {
+  const now = context.now || new Date().toISOString();
+  const primary = primaryCurrency();
+  const result = {};
+  const currencies = {};
+
+  for (const field of recordFieldMapping()) {
+    const target = { transform: toList(field.transform), default: field.default !== undefined ? field.default : null };
+    result[field.key] = mapValue(coin, field, target, { now, currency: primary });
+    if (!field.perCurrency) continue;
+
+    for (const currency of config.currencies.slice(1)) {
+      currencies[currency] = currencies[currency] || {};
+      currencies[currency][field.key] = mapValue(coin, field, target, { now, currency });
+    }
+  }
+
+  if (Object.keys(currencies).length > 0) result.currencies = currencies;
+  return result;
+}
+
+// Destination field names in mapping order (the Sheets header row)
+function destinationFieldNames(destination) {
+  return getFieldMapping()
+    .filter(field => field.destinations[destination])
+    .map(field => field.destinations[destination].name);
+}
+
+// Destination field names that change every run
+function volatileFieldNames(destination) {
+  return getFieldMapping()
+    .filter(field => field.volatile && field.destinations[destination])
+    .map(field => field.destinations[destination].name);
+}
+
+// Destination field names only written while empty there
+function editorOwnedFieldNames(destination) {
+  return getFieldMapping()
+    .filter(field => field.destinations[destination]?.editorOwned)
+    .map(field => field.destinations[destination].name);
+}
+
+// Type a field produces in a destination, or null if it can't be told
+function outputType(field, target) {
+  const last = target.transform[target.transform.length - 1];
+  if (last) return TRANSFORM_TYPES[parseTransform(last).name];
+  return field.type || null;
+}
+
+// Type each field produces by its mapping key (the values of mapCoinFields), null if it can't be told
+function fieldTypes() {
+  const types = {};
+  for (const field of recordFieldMapping()) {
+    types[field.key] = outputType(field, { transform: toList(field.transform) });
+  }
+  return types;
+}
+
+// Check the Webflow side of the mapping against the collection schema
+// Returns a list of problems (empty when everything lines up)
+function validateAgainstSchema(schema) {
+  const problems = [];
+  const schemaFields = new Map((schema.fields || []).map(field => [field.slug, field]));
+
+  for (const field of getFieldMapping()) {
+    const target = field.destinations.webflow;
+    if (!target) continue;
+
+    for (const { name } of targetNames(field, target)) {
+      const schemaField = schemaFields.get(name);
+      if (!schemaField) {
+        problems.push(`"${field.key}" maps to unknown Webflow field "${name}"`);
+        continue;
+      }
+
+      const type = outputType(field, target);
+      const accepted = WEBFLOW_TYPE_ACCEPTS[schemaField.type];
+      if (type && accepted && !accepted.includes(type)) {
+        problems.push(`"${field.key}" produces ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type} but "${name}" is a ${schemaField.type} field`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  getFieldMapping,
+  resetFieldMapping,
+  recordFieldMapping,
+  mapCoin,
+  mapCoinFields,
+  destinationFieldNames,
+  volatileFieldNames,
+  editorOwnedFieldNames,
+  fieldTypes,
+  validateAgainstSchema
+};
@@ -0,0 +1,112 @@
+// Data quality checks between CoinGecko and the writers
+// A coin that fails is quarantined: nothing is written for it this run, so Webflow, Sheets
+// and its chart keep their previous values, and it is listed in the run summary.
+const { config, primaryCurrency, DAY_MS } = require('./config');
+const historyStore = require('./history-store');
+const { getFieldMapping } = require('./field-mapping');
+
+// A stored price older than this is too stale to judge a move against
+const REFERENCE_MAX_AGE_MS = 2 * DAY_MS;
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isOptionalAmount = value => value === null || value === undefined ||
+  (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+// Fields every coin needs before it can be written
+const REQUIRED_FIELDS = {
+  id: isText,
+  symbol: isText,
+  name: isText,
+  current_price: isPositive,
+  market_cap: isPositive
+};
+
+// Fields that may be missing but have to make sense when present
+const OPTIONAL_FIELDS = {
+  total_volume: isOptionalAmount,
+  circulating_supply: isOptionalAmount,
+  total_supply: isOptionalAmount,
+  ath: isOptionalAmount,
+  atl: isOptionalAmount
+};
+
+// Problems with the shape of a single coin
+function schemaProblems(coin) {
+  const problems = [];
+
+  for (const [field, valid] of Object.entries(REQUIRED_FIELDS)) {
+    if (!valid(coin[field])) problems.push(`invalid ${field}: ${JSON.stringify(coin[field])}`);
+  }
+  for (const [field, valid] of Object.entries(OPTIONAL_FIELDS)) {
+    if (!valid(coin[field])) problems.push(`invalid ${field}: ${JSON.stringify(coin[field])}`);
+  }
+
+  // Every other quote currency needs a price too, or its fields would be written as 0
+  for (const currency of config.currencies.slice(1)) {
+    const quote = coin.quotes?.[currency];
+    if (!quote || !isPositive(quote.current_price)) problems.push(`no ${currency} price`);
+  }
+
+  return problems;
+}
+
+// Webflow slug holding the primary currency price, from the field mapping
+function priceSlug() {
+  const field = getFieldMapping().find(entry => entry.source === 'current_price' && entry.destinations.webflow);
+  return field ? field.destinations.webflow.name : null;
+}
+
+// Last known price: the newest stored hourly point, else the live Webflow item, either only while it is
+// recent. A quarantined coin's history and item stop moving, so a real move is let through once they are
+// older than REFERENCE_MAX_AGE_MS instead of keeping the coin quarantined for good.
+async function previousPrice(coin, item, slug, now) {
+  const rows = await historyStore.readSeries(coin.id, 'hourly', primaryCurrency());
+  const last = rows[rows.length - 1];
+  if (last && now - last[0] <= REFERENCE_MAX_AGE_MS && last[1] > 0) return last[1];
+
+  if (item && !item.isArchived && slug && now - Date.parse(item.lastUpdated) <= REFERENCE_MAX_AGE_MS) {
+    const value = Number(item.fieldData[slug]);
+    if (value > 0) return value;
+  }
+  return null;
+}
+
+// Check every coin; returns the coins that can take part in the run (those with an ID)
+// and the quarantined ones as { id, name, reasons }
+async function checkCoins(coins, existingItems = [], now = Date.now()) {
+  const { maxPriceChangePct } = config.guardrails;
+  const slug = priceSlug();
+  const itemsById = new Map(existingItems.map(item => [item.fieldData['coingecko-id'], item]));
+  const quarantined = [];
+
+  for (const coin of coins) {
+    const reasons = schemaProblems(coin);
+
+    if (reasons.length === 0 && maxPriceChangePct) {
+      const previous = await previousPrice(coin, itemsById.get(coin.id), slug, now);
+      const change = previous ? Math.abs(coin.current_price - previous) / previous * 100 : 0;
+      if (change > maxPriceChangePct) {
+        reasons.push(`price moved ${change.toFixed(1)}% (${previous} → ${coin.current_price})`);
+      }
+    }
+
+    if (reasons.length > 0) {
+      quarantined.push({ id: coin.id ?? null, name: coin.name ?? null, reasons });
+    }
+  }
+
+  // Without an ID a coin can't be matched to anything, so it drops out entirely
+  return { coins: coins.filter(coin => isText(coin.id)), quarantined };
+}
+
+// Whether a run may delete `count` things; logs the refusal when it may not
+function allowDeletes(count, what) {
+  const limit = config.guardrails.maxDeletesPerRun;
+  if (!limit || count <= limit) return true;
+
+  console.log(`  🛑 Refusing to delete ${count} ${what}, more than MAX_DELETES_PER_RUN (${limit}); nothing is deleted this run`);
+  return false;
+}
+
+module.exports = { checkCoins, allowDeletes };
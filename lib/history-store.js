@@ -0,0 +1,214 @@
+// Per-coin time-series store
+// Each coin gets data/history/<id>/hourly.jsonl and daily.jsonl, one
+// [timestamp, price, market_cap, volume] row per line, oldest first.
+// Other quote currencies fetched directly live next to them as <resolution>.<currency>.jsonl.
+// New rows are appended; the file is only rewritten when a merge has to
+// fill in the middle of the series or old hourly rows are compacted away.
+const fs = require('fs').promises;
+const path = require('path');
+const { config, primaryCurrency, HOUR_MS, DAY_MS } = require('./config');
+
+// Minimum spacing between stored rows, so the "live" point CoinGecko adds at
+// the end of each response doesn't pile up next to the regular samples
+const MIN_SPACING_MS = {
+  hourly: HOUR_MS / 2,
+  daily: DAY_MS / 2
+};
+
+// Grid each resolution's samples sit on (CoinGecko's are a few minutes past it)
+const STEP_MS = {
+  hourly: HOUR_MS,
+  daily: DAY_MS
+};
+
+// Hourly rows may be this far past the retention window before the file is rewritten
+const COMPACTION_SLACK_MS = 7 * DAY_MS;
+
+function seriesFile(coinId, resolution, currency = primaryCurrency()) {
+  const suffix = currency === primaryCurrency() ? '' : `.${currency}`;
+  return path.join(config.history.dir, coinId, `${resolution}${suffix}.jsonl`);
+}
+
+// Read all rows for a coin, oldest first (empty when nothing is stored yet)
+async function readSeries(coinId, resolution, currency) {
+  let content;
+  try {
+    content = await fs.readFile(seriesFile(coinId, resolution, currency), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+}
+
+async function writeSeries(coinId, resolution, rows, currency) {
+  const file = seriesFile(coinId, resolution, currency);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+}
+
+// Turn a /market_chart response into rows keyed by the price timestamps
+function rowsFromMarketChart(chartData) {
+  if (!chartData || !chartData.prices) return [];
+
+  const marketCaps = new Map((chartData.market_caps || []).map(([ts, value]) => [ts, value]));
+  const volumes = new Map((chartData.total_volumes || []).map(([ts, value]) => [ts, value]));
+
+  return chartData.prices
+    .filter(([_, price]) => price !== null && price !== undefined)
+    .map(([ts, price]) => [ts, price, marketCaps.get(ts) ?? null, volumes.get(ts) ?? null]);
+}
+
+// Distance of a timestamp from the resolution's grid
+function gridOffset(timestamp, resolution) {
+  const offset = timestamp % STEP_MS[resolution];
+  return Math.min(offset, STEP_MS[resolution] - offset);
+}
+
+// Of rows closer together than the minimum spacing keep the one nearest the grid (the regular
+// sample rather than an off-grid one)
+function thin(rows, resolution) {
+  const spacing = MIN_SPACING_MS[resolution];
+  const result = [];
+
+  for (const row of rows) {
+    const previous = result[result.length - 1];
+    if (previous && row[0] - previous[0] < spacing) {
+      if (gridOffset(row[0], resolution) < gridOffset(previous[0], resolution)) result[result.length - 1] = row;
+      continue;
+    }
+    result.push(row);
+  }
+
+  return result;
+}
+
+// Merge rows into the stored series, deduplicated by timestamp
+// Returns the number of rows that were added
+async function mergeSeries(coinId, resolution, newRows, currency) {
+  const existing = await readSeries(coinId, resolution, currency);
+  const last = existing.length ? existing[existing.length - 1][0] : -Infinity;
+
+  // Rows next to a stored one (the overlap with the previous fetch) add nothing
+  const spacing = MIN_SPACING_MS[resolution];
+  const incoming = [...newRows]
+    .sort((a, b) => a[0] - b[0])
+    .filter(row => row[0] > last || Math.abs(findNearest(existing, row[0])?.[0] - row[0]) >= spacing);
+  if (incoming.length === 0) return 0;
+
+  // Common case: everything is newer than what we have, so just append
+  if (incoming[0][0] > last) {
+    const thinned = thin(existing.length ? [existing[existing.length - 1], ...incoming] : incoming, resolution);
+    if (existing.length === 0 || thinned[0] === existing[existing.length - 1]) {
+      const appended = thinned.filter(row => row[0] > last);
+      if (appended.length === 0) return 0;
+
+      const file = seriesFile(coinId, resolution, currency);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, appended.map(row => JSON.stringify(row)).join('\n') + '\n');
+      return appended.length;
+    }
+  }
+
+  // Otherwise rebuild the series with the incoming rows filling the gaps
+  const byTimestamp = new Map(existing.map(row => [row[0], row]));
+  for (const row of incoming) {
+    if (!byTimestamp.has(row[0])) byTimestamp.set(row[0], row);
+  }
+
+  const merged = thin([...byTimestamp.values()].sort((a, b) => a[0] - b[0]), resolution);
+  const stored = new Set(existing.map(row => row[0]));
+  const changed = merged.length !== existing.length || merged.some((row, index) => row[0] !== existing[index][0]);
+  if (changed) await writeSeries(coinId, resolution, merged, currency);
+
+  return merged.filter(row => !stored.has(row[0])).length;
+}
+
+// Roll hourly rows up into daily rows for every complete UTC day after the last stored day
+// Uses the hourly sample closest to midnight, matching CoinGecko's daily points
+async function rollUpDaily(coinId, now = Date.now(), currency) {
+  const hourly = await readSeries(coinId, 'hourly', currency);
+  const daily = await readSeries(coinId, 'daily', currency);
+  if (hourly.length === 0) return 0;
+
+  const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+  const lastDaily = daily.length ? daily[daily.length - 1][0] : -Infinity;
+  const rows = [];
+
+  let midnight = Math.ceil(hourly[0][0] / DAY_MS) * DAY_MS;
+  if (midnight <= lastDaily) midnight = Math.floor(lastDaily / DAY_MS) * DAY_MS + DAY_MS;
+
+  for (; midnight < todayStart; midnight += DAY_MS) {
+    const nearest = findNearest(hourly, midnight);
+    if (!nearest || Math.abs(nearest[0] - midnight) > HOUR_MS) continue;
+    rows.push([midnight, nearest[1], nearest[2], nearest[3]]);
+  }
+
+  return mergeSeries(coinId, 'daily', rows, currency);
+}
+
+// Binary search for the row closest to a timestamp
+function findNearest(rows, timestamp) {
+  let low = 0;
+  let high = rows.length - 1;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (rows[mid][0] < timestamp) low = mid + 1;
+    else high = mid;
+  }
+
+  const candidates = [rows[low - 1], rows[low]].filter(Boolean);
+  return candidates.reduce((best, row) =>
+    Math.abs(row[0] - timestamp) < Math.abs(best[0] - timestamp) ? row : best
+  , candidates[0]);
+}
+
+// Rewrite the hourly file without rows past the retention window once enough have built up
+async function compactHourly(coinId, now = Date.now(), currency) {
+  const rows = await readSeries(coinId, 'hourly', currency);
+  const cutoff = now - config.history.hourlyRetentionDays * DAY_MS;
+
+  if (rows.length === 0 || rows[0][0] >= cutoff - COMPACTION_SLACK_MS) return 0;
+
+  const kept = rows.filter(row => row[0] >= cutoff);
+  await writeSeries(coinId, 'hourly', kept, currency);
+  return rows.length - kept.length;
+}
+
+// Timestamp of the newest stored row, or null
+async function getLastTimestamp(coinId, resolution, currency) {
+  const rows = await readSeries(coinId, resolution, currency);
+  return rows.length ? rows[rows.length - 1][0] : null;
+}
+
+// Remove everything stored for a coin
+async function removeCoin(coinId) {
+  await fs.rm(path.join(config.history.dir, coinId), { recursive: true, force: true });
+}
+
+// Coin IDs that have a history directory
+async function listCoins() {
+  try {
+    const entries = await fs.readdir(config.history.dir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+module.exports = {
+  readSeries,
+  mergeSeries,
+  rollUpDaily,
+  compactHourly,
+  getLastTimestamp,
+  removeCoin,
+  listCoins,
+  rowsFromMarketChart
+};
@@ -0,0 +1,200 @@
+// Shared HTTP client for CoinGecko and Webflow
+// Every request goes through a per-host token bucket, honours Retry-After (up to a limit) and
+// X-RateLimit-Remaining, retries 429/5xx with exponential backoff and jitter,
+// and counts against a per-run request budget for its host.
+const fetch = require('node-fetch');
+const { config } = require('./config');
+
+// Only these methods are retried on 5xx; anything else is only retried on 429,
+// where the server guarantees it didn't process the request
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE']);
+
+// Pause for this long when X-RateLimit-Remaining hits 0 without a Retry-After
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+function createHttpClient({
+  fetchImpl = fetch,
+  hosts,
+  defaults,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  now = Date.now,
+  random = Math.random
+} = {}) {
+  const states = new Map();
+
+  // Lazily create the bucket, budget and counters for a host
+  function hostState(host) {
+    if (!states.has(host)) {
+      // Read config lazily so settings loaded after startup still apply
+      const hostSettings = (hosts || config.http.hosts)[host] || {};
+      const settings = { ...(defaults || config.http.defaults), ...hostSettings };
+      states.set(host, {
+        settings,
+        tokens: settings.burst,
+        lastRefill: now(),
+        blockedUntil: 0,
+        stats: { requests: 0, retries: 0, throttled: 0, failures: 0 }
+      });
+    }
+    return states.get(host);
+  }
+
+  function refill(state) {
+    const current = now();
+    const perMs = state.settings.ratePerMinute / 60000;
+    state.tokens = Math.min(state.settings.burst, state.tokens + (current - state.lastRefill) * perMs);
+    state.lastRefill = current;
+  }
+
+  // Wait until the host is unblocked and a token is available, then take it
+  async function acquire(state) {
+    while (true) {
+      const blockedFor = state.blockedUntil - now();
+      if (blockedFor > 0) {
+        state.stats.throttled++;
+        await sleep(blockedFor);
+        continue;
+      }
+
+      refill(state);
+      if (state.tokens >= 1) {
+        state.tokens -= 1;
+        return;
+      }
+
+      const perMs = state.settings.ratePerMinute / 60000;
+      await sleep(Math.ceil((1 - state.tokens) / perMs));
+    }
+  }
+
+  function checkBudget(host, state) {
+    const { budget } = state.settings;
+    if (budget && state.stats.requests >= budget) {
+      const error = new Error(`Request budget of ${budget} exhausted for ${host}`);
+      error.code = 'BUDGET_EXHAUSTED';
+      throw error;
+    }
+  }
+
+  // Apply the server's view of our remaining quota to the bucket
+  function applyRateLimitHeaders(state, response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    if (remaining === null) return;
+
+    const value = Number(remaining);
+    if (Number.isNaN(value)) return;
+
+    if (value <= 0) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'), now());
+      state.blockedUntil = Math.max(state.blockedUntil, now() + (retryAfter ?? RATE_LIMIT_WINDOW_MS));
+    }
+    state.tokens = Math.min(state.tokens, value);
+  }
+
+  // Exponential backoff with full jitter
+  function backoffDelay(settings, attempt) {
+    const ceiling = Math.min(settings.maxBackoffMs, settings.baseBackoffMs * 2 ** attempt);
+    return Math.round(random() * ceiling);
+  }
+
+  // Same signature as fetch; resolves with the last response once retries are used up
+  async function request(url, options = {}) {
+    const host = new URL(url).host;
+    const state = hostState(host);
+    const method = (options.method || 'GET').toUpperCase();
+    const { maxRetries } = state.settings;
+
+    for (let attempt = 0; ; attempt++) {
+      checkBudget(host, state);
+      await acquire(state);
+      state.stats.requests++;
+
+      let response;
+      try {
+        response = await fetchImpl(url, options);
+      } catch (error) {
+        if (attempt >= maxRetries) {
+          state.stats.failures++;
+          throw error;
+        }
+        state.stats.retries++;
+        await sleep(backoffDelay(state.settings, attempt));
+        continue;
+      }
+
+      applyRateLimitHeaders(state, response);
+
+      const retryable = response.status === 429 ||
+        (response.status >= 500 && IDEMPOTENT_METHODS.has(method));
+
+      if (!retryable || attempt >= maxRetries) {
+        if (!response.ok) state.stats.failures++;
+        return response;
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'), now());
+      if (retryAfter !== null && retryAfter > state.settings.maxRetryAfterMs) {
+        console.log(`  ⏳ ${response.status} from ${host} with Retry-After ${Math.round(retryAfter / 1000)}s, not waiting that long`);
+        state.stats.failures++;
+        return response;
+      }
+      const delay = retryAfter ?? backoffDelay(state.settings, attempt);
+      if (response.status === 429) {
+        state.blockedUntil = Math.max(state.blockedUntil, now() + delay);
+      }
+
+      console.log(`  ⏳ ${response.status} from ${host}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${maxRetries})`);
+      state.stats.retries++;
+      await sleep(delay);
+    }
+  }
+
+  // Requests left in this run's budget for a host (Infinity when unlimited)
+  function remaining(host) {
+    const state = hostState(host);
+    return state.settings.budget ? Math.max(0, state.settings.budget - state.stats.requests) : Infinity;
+  }
+
+  function stats() {
+    const result = {};
+    for (const [host, state] of states) {
+      result[host] = { ...state.stats, budget: state.settings.budget || null };
+    }
+    return result;
+  }
+
+  // Swap the fetch implementation (the tests use an offline emulation of the APIs) and forget every
+  // host's bucket, budget and counters
+  function useFetch(impl) {
+    fetchImpl = impl;
+    states.clear();
+  }
+
+  return { request, remaining, stats, useFetch };
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms or null
+function parseRetryAfter(value, currentTime) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - currentTime);
+}
+
+// Error for a failed response, carrying its status and body (for the run report)
+async function responseError(response, message) {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`${message} (${response.status})${body ? `: ${body.slice(0, 300)}` : ''}`);
+  error.code = 'HTTP_ERROR';
+  error.status = response.status;
+  error.body = body;
+  return error;
+}
+
+// Client shared by the whole run
+const httpClient = createHttpClient();
+
+module.exports = { createHttpClient, httpClient, parseRetryAfter, responseError };
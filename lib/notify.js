@@ -0,0 +1,104 @@
+// Notification channels: generic JSON webhooks, Slack and Discord incoming webhooks, and email over SMTP
+// A message is { title, lines, payload }: Slack, Discord and email get the title and lines as text,
+// webhooks get all of it as JSON.
+const nodemailer = require('nodemailer');
+const { config } = require('./config');
+const { httpClient } = require('./http-client');
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000;
+
+async function postJson(url, body) {
+  const response = await httpClient.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status}: ${await response.text()}`);
+  }
+}
+
+function messageText({ title, lines }) {
+  return [title, ...lines].join('\n');
+}
+
+// A channel either sends a message itself (`send`) or has several `targets`, each sent to and
+// counted on its own, so one that fails doesn't hold the message back from the others
+const CHANNELS = {
+  webhook: {
+    isConfigured: () => config.notify.webhookUrls.length > 0,
+    // One target per URL, named webhook#<n> (by its place in NOTIFY_WEBHOOK_URLS) when there are several
+    targets: () => config.notify.webhookUrls.map((url, index, urls) => ({
+      name: urls.length > 1 ? `webhook#${index + 1}` : 'webhook',
+      send: message => postJson(url, {
+        source: 'coingecko-webflow-sync',
+        title: message.title,
+        lines: message.lines,
+        ...message.payload
+      })
+    }))
+  },
+  slack: {
+    isConfigured: () => Boolean(config.notify.slackWebhookUrl),
+    send: message => postJson(config.notify.slackWebhookUrl, {
+      text: `*${message.title}*\n${message.lines.join('\n')}`
+    })
+  },
+  discord: {
+    isConfigured: () => Boolean(config.notify.discordWebhookUrl),
+    send: message => postJson(config.notify.discordWebhookUrl, {
+      content: messageText(message).slice(0, DISCORD_MAX_LENGTH)
+    })
+  },
+  email: {
+    isConfigured: () => Boolean(config.notify.smtpUrl && config.notify.emailFrom && config.notify.emailTo.length > 0),
+    async send(message) {
+      const transport = nodemailer.createTransport(config.notify.smtpUrl);
+      await transport.sendMail({
+        from: config.notify.emailFrom,
+        to: config.notify.emailTo.join(', '),
+        subject: message.title,
+        text: message.lines.join('\n')
+      });
+    }
+  }
+};
+
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+function configuredChannels() {
+  return CHANNEL_NAMES.filter(name => CHANNELS[name].isConfigured());
+}
+
+function channelTargets(name) {
+  const channel = CHANNELS[name];
+  return channel.targets ? channel.targets() : [{ name, send: channel.send }];
+}
+
+// Send a message to the given channels (every configured one by default)
+// Returns { sent, failed } with the names of the channels, or of their targets (webhook#2); nothing is
+// sent in a dry run
+async function notify(message, channels = configuredChannels()) {
+  const outcome = { sent: [], failed: [] };
+
+  for (const target of channels.flatMap(channelTargets)) {
+    if (config.dryRun) {
+      console.log(`  📝 Would notify ${target.name}: ${message.title}`);
+      outcome.sent.push(target.name);
+      continue;
+    }
+
+    try {
+      await target.send(message);
+      outcome.sent.push(target.name);
+    } catch (error) {
+      console.error(`  ❌ Notification to ${target.name} failed:`, error.message);
+      outcome.failed.push(target.name);
+    }
+  }
+
+  return outcome;
+}
+
+module.exports = { CHANNEL_NAMES, configuredChannels, notify };
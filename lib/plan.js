@@ -0,0 +1,73 @@
+// Planned changes collected during a dry run (--dry-run / DRY_RUN=true)
+// Each step records what it would do here instead of writing.
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+
+function createPlan() {
+  return {
+    dryRun: true,
+    generatedAt: new Date().toISOString(),
+    webflow: { create: [], update: [], restore: [], archive: [], delete: [], publish: [], reconcile: [] },
+    sheets: { rowsAdded: [], rowsChanged: [], rowsRemoved: [], appended: [] },
+    charts: { added: [], updated: [], removed: [] },
+    // Coin IDs whose /coins/{id} profile would be fetched
+    profiles: [],
+    // Record destinations (Airtable, Notion, Postgres, export) by name: { create, update, delete }
+    destinations: {},
+    // Coins that failed the data quality checks, with the reasons
+    quarantined: [],
+    // Alerts that would go out: { rule, coingeckoId, message }
+    alerts: []
+  };
+}
+
+// Plan shared by the whole run
+const plan = createPlan();
+
+// Print a short summary of the plan and optionally write the full plan as JSON
+async function reportPlan() {
+  console.log('\n' + '='.repeat(50));
+  console.log('DRY RUN - PLANNED CHANGES');
+  console.log('='.repeat(50));
+
+  for (const [action, entries] of Object.entries(plan.webflow)) {
+    if (entries.length === 0) continue;
+    console.log(`Webflow ${action}: ${entries.length}`);
+    for (const entry of entries) {
+      console.log(`  - ${entry.message || entry.name || entry.coingeckoId || entry.itemId}`);
+      for (const [slug, change] of Object.entries(entry.changes || {})) {
+        console.log(`      ${slug}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+      }
+    }
+  }
+
+  console.log(`Sheets rows added/changed/removed: ${plan.sheets.rowsAdded.length}/${plan.sheets.rowsChanged.length}/${plan.sheets.rowsRemoved.length}`);
+  for (const { tab, rows } of plan.sheets.appended) {
+    console.log(`Sheets rows appended to ${tab}: ${rows}`);
+  }
+  for (const [name, changes] of Object.entries(plan.destinations)) {
+    console.log(`${name} records created/updated/deleted: ${changes.create.length}/${changes.update.length}/${changes.delete.length}`);
+    for (const entry of changes.update) {
+      console.log(`  - ${entry.coingeckoId}`);
+      for (const [key, change] of Object.entries(entry.changes)) {
+        console.log(`      ${key}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+      }
+    }
+  }
+  console.log(`Chart files added: ${plan.charts.added.join(', ') || 'none'}`);
+  console.log(`Chart files updated: ${plan.charts.updated.join(', ') || 'none'}`);
+  console.log(`Chart files removed: ${plan.charts.removed.join(', ') || 'none'}`);
+  console.log(`Profiles fetched: ${plan.profiles.join(', ') || 'none'}`);
+  console.log(`Quarantined coins: ${plan.quarantined.map(entry => entry.id || entry.name).join(', ') || 'none'}`);
+  console.log(`Alerts: ${plan.alerts.map(alert => alert.message).join('; ') || 'none'}`);
+  console.log('='.repeat(50));
+
+  if (config.planOutput) {
+    await fs.mkdir(path.dirname(path.resolve(config.planOutput)), { recursive: true });
+    await fs.writeFile(config.planOutput, JSON.stringify(plan, null, 2) + '\n');
+    console.log(`📝 Plan written to ${config.planOutput}`);
+  }
+}
+
+module.exports = { plan, createPlan, reportPlan };
@@ -0,0 +1,144 @@
+// Coin profiles: description, links, categories, genesis date and contract addresses from /coins/{id}
+// Each coin's profile is cached in data/profiles/<id>.json and refreshed every PROFILE_REFRESH_DAYS, a few
+// coins per run (PROFILE_REQUEST_BUDGET), so the detail endpoint costs little of the CoinGecko budget.
+// The cache also keeps the editor-owned Webflow values of deleted items, so a coin that returns gets its
+// copy back.
+const fs = require('fs').promises;
+const path = require('path');
+const { config, DAY_MS } = require('./config');
+const { httpClient } = require('./http-client');
+const { coingeckoHost, fetchCoinProfile } = require('./coingecko');
+const { isUnavailable } = require('./providers');
+const { getFieldMapping, editorOwnedFieldNames } = require('./field-mapping');
+const { plan } = require('./plan');
+
+function profileFile(coinId) {
+  return path.join(config.profiles.dir, `${coinId}.json`);
+}
+
+// Cached entry { coingecko_id, fetched_at, profile, editor_fields }, or null when there is none
+async function readProfile(coinId) {
+  try {
+    return JSON.parse(await fs.readFile(profileFile(coinId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeProfile(coinId, entry) {
+  await fs.mkdir(config.profiles.dir, { recursive: true });
+  await fs.writeFile(profileFile(coinId), JSON.stringify(entry, null, 2) + '\n');
+}
+
+// Whether the field mapping writes anything from the profiles to a destination (the profile fields are
+// optional, so without WEBFLOW_OPTIONAL_FIELDS there is nothing to fetch them for)
+function needsProfiles() {
+  return getFieldMapping().some(field => field.requires === 'profile' && Object.keys(field.destinations).length > 0);
+}
+
+function firstUrl(urls = []) {
+  return urls.find(url => typeof url === 'string' && /^https?:\/\/\S+$/.test(url.trim()))?.trim() || null;
+}
+
+// The parts of a /coins/{id} response the field mapping can use
+function pickProfile(data) {
+  const links = data.links || {};
+  const contracts = Object.entries(data.platforms || {})
+    .filter(([chain, address]) => chain && address)
+    .map(([chain, address]) => `${chain}: ${address}`);
+
+  return {
+    description: data.description?.en?.trim() || null,
+    homepage: firstUrl(links.homepage),
+    whitepaper: firstUrl([links.whitepaper]),
+    explorer: firstUrl(links.blockchain_site),
+    twitter: links.twitter_screen_name ? `https://twitter.com/${links.twitter_screen_name}` : null,
+    github: firstUrl(links.repos_url?.github),
+    categories: (data.categories || []).filter(Boolean),
+    genesis_date: data.genesis_date || null,
+    hashing_algorithm: data.hashing_algorithm || null,
+    contract_address: data.contract_address || Object.values(data.platforms || {}).find(Boolean) || null,
+    contracts
+  };
+}
+
+// Attach each coin's cached profile (coin.profile) and saved editor values (coin.editorFields), then
+// refresh the missing and stalest profiles within the request budget (unless `refresh` is false).
+// Quarantined coins are left out of the refresh. In a dry run the refreshes are only planned.
+// Returns { cached, attempted, fetched, failed, budgetExhausted }
+async function enrichProfiles(coins, { quarantinedIds = new Set(), refresh = true, now = Date.now() } = {}) {
+  const outcome = { cached: 0, attempted: [], fetched: [], failed: [], budgetExhausted: false };
+  const due = [];
+
+  for (const coin of coins) {
+    const entry = await readProfile(coin.id);
+    if (entry?.profile) {
+      coin.profile = entry.profile;
+      outcome.cached++;
+    }
+    if (entry?.editor_fields) coin.editorFields = entry.editor_fields;
+
+    const fetchedAt = Date.parse(entry?.fetched_at) || 0;
+    if (!quarantinedIds.has(coin.id) && now - fetchedAt >= config.profiles.refreshDays * DAY_MS) {
+      due.push({ coin, entry, fetchedAt });
+    }
+  }
+
+  // Missing profiles first (fetchedAt 0), then the stalest; the sort keeps market cap order otherwise
+  due.sort((a, b) => a.fetchedAt - b.fetchedAt);
+  // Profiles are CoinGecko's alone, so none are fetched while it is down
+  const budget = refresh && !isUnavailable('coingecko')
+    ? Math.min(config.profiles.requestBudget, httpClient.remaining(coingeckoHost()))
+    : 0;
+  const batch = due.slice(0, budget);
+  console.log(`Refreshing ${batch.length}/${due.length} due profiles (${outcome.cached} cached)`);
+
+  if (config.dryRun) {
+    plan.profiles.push(...batch.map(({ coin }) => coin.id));
+    return outcome;
+  }
+
+  for (const { coin, entry } of batch) {
+    outcome.attempted.push(coin.id);
+    try {
+      const profile = pickProfile(await fetchCoinProfile(coin.id));
+      await writeProfile(coin.id, { ...entry, coingecko_id: coin.id, fetched_at: new Date(now).toISOString(), profile });
+      coin.profile = profile;
+      outcome.fetched.push(coin.id);
+      console.log(`  ✅ Profile saved for ${coin.name || coin.id}`);
+    } catch (error) {
+      if (error.code === 'BUDGET_EXHAUSTED') {
+        console.log(`  ⏸️  ${error.message}, stopping profile updates for this run`);
+        outcome.attempted.pop();
+        outcome.budgetExhausted = true;
+        break;
+      }
+      // The cached profile, if any, is used until the next attempt
+      console.error(`  ❌ Profile for ${coin.id}: ${error.message}`);
+      outcome.failed.push({ coingeckoId: coin.id, error: error.message, status: error.status ?? null, body: error.body ?? null });
+    }
+  }
+
+  return outcome;
+}
+
+// Keep the editor-owned values of deleted Webflow items in their coin's cache entry
+async function keepEditorFields(items) {
+  const owned = editorOwnedFieldNames('webflow');
+  if (owned.length === 0) return;
+
+  for (const item of items) {
+    const coinId = item.fieldData['coingecko-id'];
+    const values = Object.fromEntries(owned
+      .filter(slug => ![undefined, null, ''].includes(item.fieldData[slug]))
+      .map(slug => [slug, item.fieldData[slug]]));
+    if (!coinId || Object.keys(values).length === 0) continue;
+
+    const entry = await readProfile(coinId) || { coingecko_id: coinId, fetched_at: null, profile: null };
+    await writeProfile(coinId, { ...entry, editor_fields: { ...entry.editor_fields, ...values } });
+    console.log(`  📝 Kept the editor copy of ${item.fieldData.name || coinId} (${Object.keys(values).join(', ')})`);
+  }
+}
+
+module.exports = { readProfile, needsProfiles, pickProfile, enrichProfiles, keepEditorFields };
@@ -0,0 +1,116 @@
+// CoinCap (rest.coincap.io/v3), a fallback market data provider; needs COINCAP_API_KEY
+// It has USD prices, market caps, volumes, supplies and 24h changes, exchange rates for the other currencies
+// and a price history without market caps or volumes. The 7d/30d/1y changes, ATH/ATL and logos aren't there.
+const { config, DAY_MS } = require('../config');
+const { httpClient, responseError } = require('../http-client');
+const { providerId, coingeckoId } = require('./ids');
+
+// History granularity by request length, as CoinGecko's market_chart has it
+const MAX_HOURLY_DAYS = 90;
+// Hourly history is requested a month at a time at most
+const MAX_HOURLY_REQUEST_DAYS = 30;
+// Where "max" daily history starts
+const HISTORY_START = Date.UTC(2009, 0, 1);
+
+// CoinCap sends numbers as strings
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+function createCoinCapProvider() {
+  let rates = null;
+
+  async function getData(pathAndQuery, label) {
+    const response = await httpClient.request(`${config.coincap.apiUrl}${pathAndQuery}`, {
+      headers: { Authorization: `Bearer ${config.coincap.apiKey}` }
+    });
+    if (!response.ok) {
+      throw await responseError(response, `CoinCap API error (${label})`);
+    }
+    return (await response.json()).data;
+  }
+
+  function normalizeAsset(asset) {
+    const price = toNumber(asset.priceUsd);
+    const change = toNumber(asset.changePercent24Hr);
+    return {
+      id: coingeckoId('coincap', asset.id),
+      symbol: asset.symbol.toLowerCase(),
+      name: asset.name,
+      market_cap_rank: toNumber(asset.rank),
+      circulating_supply: toNumber(asset.supply),
+      max_supply: toNumber(asset.maxSupply),
+      quotes: {
+        usd: {
+          current_price: price,
+          market_cap: toNumber(asset.marketCapUsd),
+          total_volume: toNumber(asset.volumeUsd24Hr),
+          price_change_24h: price !== null && change !== null ? price * change / (100 + change) : null,
+          price_change_percentage_24h: change
+        }
+      }
+    };
+  }
+
+  async function fetchMarkets({ ids, limit }) {
+    const query = ids ? { ids: ids.map(id => providerId('coincap', id)).join(',') } : { limit };
+    const assets = await getData(`/assets?${new URLSearchParams(query)}`, 'assets');
+    return assets.map(normalizeAsset);
+  }
+
+  // USD value of one unit of each currency, by lowercase code; read once per run
+  async function fetchRates() {
+    if (!rates) {
+      const data = await getData('/rates', 'rates');
+      rates = Object.fromEntries(data.map(rate => [rate.symbol.toLowerCase(), toNumber(rate.rateUsd)]));
+      rates.usd = 1;
+    }
+    return rates;
+  }
+
+  // Primary → currency factors, as lib/coingecko.js fetchExchangeRates returns them
+  async function fetchExchangeRates() {
+    const usdRates = await fetchRates();
+    const [primary, ...others] = config.currencies;
+    const factors = { [primary]: 1 };
+    for (const currency of others) {
+      if (!usdRates[primary] || !usdRates[currency]) {
+        throw new Error(`CoinCap has no exchange rate for ${usdRates[primary] ? currency : primary}`);
+      }
+      factors[currency] = usdRates[primary] / usdRates[currency];
+    }
+    return factors;
+  }
+
+  // Price history in the market_chart shape; market caps and volumes stay empty
+  async function fetchMarketChart(coinId, days, currency) {
+    const usdRates = currency === 'usd' ? { usd: 1 } : await fetchRates();
+    if (!usdRates[currency]) {
+      throw new Error(`CoinCap has no exchange rate for ${currency}`);
+    }
+
+    const end = Date.now();
+    const hourly = days !== 'max' && days <= MAX_HOURLY_DAYS;
+    const start = days === 'max' ? HISTORY_START : end - (hourly ? Math.min(days, MAX_HOURLY_REQUEST_DAYS) : days) * DAY_MS;
+    const query = new URLSearchParams({ interval: hourly ? 'h1' : 'd1', start, end });
+    const history = await getData(`/assets/${providerId('coincap', coinId)}/history?${query}`, 'history');
+
+    return {
+      prices: history.map(point => [point.time, toNumber(point.priceUsd) / usdRates[currency]]),
+      market_caps: [],
+      total_volumes: []
+    };
+  }
+
+  return {
+    name: 'coincap',
+    label: 'CoinCap',
+    isConfigured: () => Boolean(config.coincap.apiKey),
+    fetchMarkets,
+    fetchRates,
+    fetchExchangeRates,
+    fetchMarketChart
+  };
+}
+
+module.exports = { createCoinCapProvider };
@@ -0,0 +1,16 @@
+// CoinGecko, the primary market data provider (lib/coingecko.js)
+const coingecko = require('../coingecko');
+
+function createCoinGeckoProvider() {
+  return {
+    name: 'coingecko',
+    label: 'CoinGecko',
+    // The public API works without a key
+    isConfigured: () => true,
+    fetchCoinUniverse: coingecko.fetchCoinUniverse,
+    fetchExchangeRates: coingecko.fetchExchangeRates,
+    fetchMarketChart: coingecko.fetchMarketChart
+  };
+}
+
+module.exports = { createCoinGeckoProvider };
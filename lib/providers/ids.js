@@ -0,0 +1,22 @@
+// Translation between CoinGecko IDs and a provider's own coin IDs (config/provider-ids.js)
+const { config } = require('../config');
+
+let idMap = null;
+
+function getIdMap() {
+  if (!idMap) idMap = require(config.providers.idMapFile);
+  return idMap;
+}
+
+// The provider's ID for a CoinGecko ID
+function providerId(provider, coinId) {
+  return getIdMap()[provider]?.[coinId] || coinId;
+}
+
+// The CoinGecko ID for a provider's ID
+function coingeckoId(provider, id) {
+  const entry = Object.entries(getIdMap()[provider] || {}).find(([, mapped]) => mapped === id);
+  return entry ? entry[0] : id;
+}
+
+module.exports = { providerId, coingeckoId };
@@ -0,0 +1,243 @@
+// Market data providers: where the coin universe, exchange rates and chart history come from
+//
+//   name, label                          config name ("coincap") and display name ("CoinCap")
+//   isConfigured()                       whether the API key it needs is set
+//   fetchCoinUniverse()                  the configured universe in the /coins/markets shape, with `quotes`
+//   fetchMarkets({ ids, limit })         (instead of fetchCoinUniverse) coins by CoinGecko ID, or the top
+//                                        `limit` by market cap, with quotes in whichever currencies it has
+//   fetchRates()                         (optional) USD value of one unit of each currency
+//   fetchExchangeRates()                 (optional) primary → currency factors for converted charts
+//   fetchMarketChart(coinId, days, currency)   history in the /market_chart shape
+//
+// MARKET_PROVIDERS lists them in order of preference. A provider that is down (network errors, 401/403 or
+// 5xx once the retries are used up) is passed over for the rest of the run and the next one asked; a failed
+// chart request only goes on to the next provider itself.
+// The primary's coins are kept as a snapshot; a fallback's coins are laid over it, so the set stays the same
+// and whatever the fallback doesn't have keeps its last known value. Every coin notes its source_provider.
+const fs = require('fs').promises;
+const path = require('path');
+const { config, primaryCurrency } = require('../config');
+
+const FACTORIES = {
+  coingecko: () => require('./coingecko').createCoinGeckoProvider(),
+  coincap: () => require('./coincap').createCoinCapProvider(),
+  stub: () => require('./stub').createStubProvider()
+};
+
+let providers = null;
+// Providers down for this run, by name: { provider, label, error }
+const outages = new Map();
+
+// Provider instances for MARKET_PROVIDERS, in order; unconfigured ones are left out
+function getProviders() {
+  if (!providers) {
+    providers = config.providers.market.map(name => {
+      const factory = FACTORIES[name];
+      if (!factory) {
+        const error = new Error(`Unknown market data provider "${name}" in MARKET_PROVIDERS (known: ${Object.keys(FACTORIES).join(', ')})`);
+        error.code = 'UNKNOWN_PROVIDER';
+        throw error;
+      }
+      return factory();
+    });
+    providers.filter(provider => !provider.isConfigured()).forEach(provider => {
+      console.log(`⚠️  ${provider.label} not configured, left out of the market data providers`);
+    });
+  }
+  return providers.filter(provider => provider.isConfigured());
+}
+
+// Forget the providers and their outages (MARKET_PROVIDERS read again)
+function resetProviders() {
+  providers = null;
+  outages.clear();
+}
+
+// A 429 that outlasted the retries is the rate limit, not an outage: the provider is asked again next time
+function isOutage(error) {
+  if (error.code === 'PROVIDER_UNAVAILABLE' || error.name === 'FetchError') return true;
+  return [401, 403].includes(error.status) || error.status >= 500;
+}
+
+// Ask each provider that is up and can do it (`canServe`) in turn, until one answers
+// An outage takes the provider out for the rest of the run, unless `perRequest` (one chart failing says
+// little about the provider), when only this request goes on to the next one. Errors other than outages
+// (a 404 for one coin, a 429, a spent request budget) are thrown on as they are, and so is the first
+// provider's error when no other one can answer, keeping its status and body.
+async function withFailover(task, canServe, fn, { perRequest = false } = {}) {
+  let failure = null;
+  for (const provider of getProviders()) {
+    if (outages.has(provider.name) || !canServe(provider)) continue;
+    try {
+      return { provider, result: await fn(provider) };
+    } catch (error) {
+      if (!isOutage(error)) throw error;
+      failure = failure || error;
+      if (perRequest) {
+        console.log(`  ⚠️  ${provider.label} couldn't ${task} (${error.message}), asking the next market data provider`);
+        continue;
+      }
+      outages.set(provider.name, { provider: provider.name, label: provider.label, error: error.message });
+      console.log(`  ⚠️  ${provider.label} is unavailable (${error.message}), trying the next market data provider`);
+    }
+  }
+
+  if (failure) throw failure;
+  const down = [...outages.values()].map(outage => outage.label);
+  const error = new Error(`No market data provider could ${task}${down.length ? ` (down: ${down.join(', ')})` : ''}`);
+  error.code = 'NO_PROVIDER';
+  throw error;
+}
+
+function isUnavailable(name) {
+  return outages.has(name);
+}
+
+function providerOutages() {
+  return [...outages.values()];
+}
+
+async function readSnapshot() {
+  try {
+    return JSON.parse(await fs.readFile(config.providers.snapshotFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeSnapshot(provider, coins) {
+  const file = config.providers.snapshotFile;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ saved_at: new Date().toISOString(), provider: provider.name, coins }, null, 2) + '\n');
+}
+
+function definedOnly(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+// A USD quote in a currency worth `rateUsd` USD a unit; the percentages stay as they are
+function convertQuote(quote, rateUsd) {
+  const converted = { ...quote };
+  for (const field of ['current_price', 'market_cap', 'total_volume', 'high_24h', 'low_24h', 'price_change_24h', 'ath', 'atl']) {
+    if (typeof quote[field] === 'number') converted[field] = quote[field] / rateUsd;
+  }
+  return converted;
+}
+
+// A provider's markets, quoted in every configured currency it can convert to from USD
+// The primary currency's quote is also spread over the coin, as in a /coins/markets entry
+async function fetchQuotedMarkets(provider, params) {
+  const coins = await provider.fetchMarkets(params);
+  const needsRates = coins.some(coin => coin.quotes.usd && config.currencies.some(currency => !coin.quotes[currency]));
+  const rates = needsRates && provider.fetchRates ? await provider.fetchRates() : {};
+
+  for (const coin of coins) {
+    for (const currency of config.currencies) {
+      if (!coin.quotes[currency] && coin.quotes.usd && rates[currency]) {
+        coin.quotes[currency] = convertQuote(coin.quotes.usd, rates[currency]);
+      }
+    }
+    Object.assign(coin, coin.quotes[primaryCurrency()]);
+  }
+  return coins;
+}
+
+// The configured universe from a provider's markets: the top N after ID exclusions plus the watchlist
+// Categories are CoinGecko's own, so only CoinGecko can rank a category
+async function marketsUniverse(provider) {
+  const { topN, watchlist, excludeIds, excludeCategories, category } = config.universe;
+  if (category) {
+    const error = new Error(`${provider.label} can't rank the "${category}" category`);
+    error.code = 'PROVIDER_UNAVAILABLE';
+    throw error;
+  }
+  if (excludeCategories.length > 0) {
+    console.log(`  ⚠️  ${provider.label} doesn't know CoinGecko's categories, EXCLUDE_CATEGORIES is ignored`);
+  }
+
+  const excluded = new Set(excludeIds);
+  const coins = (await fetchQuotedMarkets(provider, { limit: topN + excluded.size }))
+    .filter(coin => !excluded.has(coin.id))
+    .slice(0, topN);
+  const missing = watchlist.filter(id => !coins.some(coin => coin.id === id));
+  if (missing.length > 0) coins.push(...await fetchQuotedMarkets(provider, { ids: missing }));
+  return coins;
+}
+
+async function providerUniverse(provider) {
+  const coins = provider.fetchCoinUniverse ? await provider.fetchCoinUniverse() : await marketsUniverse(provider);
+  coins.forEach(coin => {
+    coin.source_provider = provider.name;
+  });
+  return coins;
+}
+
+// A fallback's coins laid over the snapshot: the same coins in the same order, with the fallback's values
+// where it has them. Coins it doesn't have keep the snapshot values (source_provider "snapshot").
+async function fallbackUniverse(provider) {
+  const snapshot = await readSnapshot();
+  if (!snapshot || provider.fetchCoinUniverse) return providerUniverse(provider);
+
+  const fresh = new Map((await fetchQuotedMarkets(provider, { ids: snapshot.coins.map(coin => coin.id) }))
+    .map(coin => [coin.id, coin]));
+  const missing = snapshot.coins.filter(coin => !fresh.has(coin.id)).map(coin => coin.id);
+  if (missing.length > 0) {
+    console.log(`  ⚠️  Not at ${provider.label}, kept from the ${snapshot.saved_at} snapshot: ${missing.join(', ')}`);
+  }
+
+  return snapshot.coins.map(base => {
+    const coin = fresh.get(base.id);
+    if (!coin) return { ...base, source_provider: 'snapshot' };
+
+    const { quotes: freshQuotes, ...values } = coin;
+    const quotes = Object.fromEntries(config.currencies.map(currency => [
+      currency,
+      { ...base.quotes?.[currency], ...definedOnly(freshQuotes[currency]) }
+    ]));
+    return { ...base, ...definedOnly(values), quotes, ...quotes[primaryCurrency()], source_provider: provider.name };
+  });
+}
+
+// Fetch the configured coin universe from the first provider that is up
+// The primary's coins are saved as the snapshot for a later fallback, unless `snapshot` is false
+async function fetchCoinUniverse({ snapshot = !config.dryRun } = {}) {
+  const [primary] = getProviders();
+  const { provider, result: coins } = await withFailover(
+    'fetch the coin universe',
+    provider => Boolean(provider.fetchCoinUniverse || provider.fetchMarkets),
+    provider => provider === primary ? providerUniverse(provider) : fallbackUniverse(provider)
+  );
+
+  if (provider === primary && snapshot) await writeSnapshot(provider, coins);
+  return coins;
+}
+
+async function fetchExchangeRates() {
+  const { result } = await withFailover(
+    'fetch exchange rates',
+    provider => Boolean(provider.fetchExchangeRates),
+    provider => provider.fetchExchangeRates()
+  );
+  return result;
+}
+
+async function fetchMarketChart(coinId, days, currency = primaryCurrency()) {
+  const { result } = await withFailover(
+    `fetch the ${coinId} chart`,
+    provider => Boolean(provider.fetchMarketChart),
+    provider => provider.fetchMarketChart(coinId, days, currency),
+    { perRequest: true }
+  );
+  return result;
+}
+
+module.exports = {
+  getProviders,
+  resetProviders,
+  isUnavailable,
+  providerOutages,
+  fetchCoinUniverse,
+  fetchExchangeRates,
+  fetchMarketChart
+};
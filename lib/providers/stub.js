@@ -0,0 +1,55 @@
+// Offline stub provider, for trying the failover without any API: it serves the markets in
+// STUB_MARKETS_FILE (a /coins/markets response, e.g. a recording) or else the primary's last snapshot,
+// and charts from the history store, so a run through it adds no new points
+const fs = require('fs').promises;
+const { config, primaryCurrency, DAY_MS } = require('../config');
+const historyStore = require('../history-store');
+const { pickQuote } = require('../coingecko');
+
+// Longest request served from the hourly store, as CoinGecko's market_chart has it
+const MAX_HOURLY_DAYS = 90;
+
+function createStubProvider() {
+  async function readMarkets() {
+    const file = config.providers.stubFile || config.providers.snapshotFile;
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      return Array.isArray(data) ? data : data.coins;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      const unavailable = new Error(`No stub markets in ${file}`);
+      unavailable.code = 'PROVIDER_UNAVAILABLE';
+      throw unavailable;
+    }
+  }
+
+  // Recorded entries are quoted in the primary currency unless they carry their own quotes
+  async function fetchMarkets({ ids, limit }) {
+    const markets = await readMarkets();
+    const selected = ids
+      ? markets.filter(market => ids.includes(market.id))
+      : [...markets].sort((a, b) => (b.market_cap || 0) - (a.market_cap || 0)).slice(0, limit);
+    return selected.map(market => ({ ...market, quotes: market.quotes || { [primaryCurrency()]: pickQuote(market) } }));
+  }
+
+  async function fetchMarketChart(coinId, days, currency) {
+    const resolution = days === 'max' || days > MAX_HOURLY_DAYS ? 'daily' : 'hourly';
+    const start = days === 'max' ? -Infinity : Date.now() - days * DAY_MS;
+    const rows = (await historyStore.readSeries(coinId, resolution, currency)).filter(row => row[0] >= start);
+    return {
+      prices: rows.map(([timestamp, price]) => [timestamp, price]),
+      market_caps: rows.map(([timestamp, , marketCap]) => [timestamp, marketCap]),
+      total_volumes: rows.map(([timestamp, , , volume]) => [timestamp, volume])
+    };
+  }
+
+  return {
+    name: 'stub',
+    label: 'Stub',
+    isConfigured: () => true,
+    fetchMarkets,
+    fetchMarketChart
+  };
+}
+
+module.exports = { createStubProvider };
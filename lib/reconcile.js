@@ -0,0 +1,199 @@
+// Reconciliation of the Webflow items with the coin set, run before the items are diffed
+//
+// - Missing IDs: an item without a coingecko-id gets the ID of the coin in the set with the same name
+//   and symbol (WEBFLOW_BACKFILL_IDS). Items no coin matches are archived, deleted or kept as they are
+//   (WEBFLOW_UNMATCHED_ITEMS).
+// - Moved IDs: an item whose coingecko-id left the set is taken over by the coin with the same name and
+//   symbol when that coin has no item yet (CoinGecko changed the ID, e.g. "aster" → "aster-2").
+// - Duplicates: of several items with the same coingecko-id one is kept and the others are deleted
+//   (WEBFLOW_DUPLICATES): merge keeps the oldest and fills its empty fields from the others, oldest and
+//   newest keep that one as it is, report leaves them all alone and only syncs the oldest.
+// - Mismatches: items whose name or symbol no longer matches CoinGecko (a rebrand) are reported; the
+//   sync writes the new values.
+//
+// Everything found is an action { type, coingeckoId, itemIds, message } in the run summary and the plan.
+const { config } = require('./config');
+const { mapCoin } = require('./field-mapping');
+
+const DUPLICATE_STRATEGIES = ['merge', 'oldest', 'newest', 'report'];
+const UNMATCHED_STRATEGIES = ['archive', 'delete', 'keep'];
+
+// Fields that identify an item, never copied between duplicates
+const IDENTITY_FIELDS = new Set(['coingecko-id', 'slug']);
+
+function checkStrategy(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    const error = new Error(`Unknown ${name} "${value}" (expected ${allowed.join(', ')})`);
+    error.code = 'INVALID_STRATEGY';
+    throw error;
+  }
+}
+
+// Lowercase letters and digits only, so "Aster " and "ASTER" match
+function normalize(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function identity(fieldData) {
+  const name = normalize(fieldData.name);
+  const symbol = normalize(fieldData.symbol);
+  return name && symbol ? `${name}|${symbol}` : null;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function itemLabel(item) {
+  return `"${item.fieldData.name || item.id}" (${item.id})`;
+}
+
+// Creation time for ordering duplicates; items without one keep the collection order
+function createdAt(item, index) {
+  const time = Date.parse(item.createdOn);
+  return Number.isNaN(time) ? index : time;
+}
+
+// Fields of `others` the survivor has no value for, first one wins
+function mergedFields(survivor, others) {
+  const merged = {};
+  for (const other of others) {
+    for (const [slug, value] of Object.entries(other.fieldData)) {
+      if (IDENTITY_FIELDS.has(slug) || isEmpty(value)) continue;
+      if (isEmpty(survivor.fieldData[slug]) && !(slug in merged)) merged[slug] = value;
+    }
+  }
+  return merged;
+}
+
+// Work out what to do with the items before the diff
+// Returns:
+//   items         the items to sync, one per coin (duplicates and unmatched items left out)
+//   coinIdOf      the coin an item belongs to (its coingecko-id unless reconciliation matched it to another)
+//   fieldUpdates  extra fields to write per item ID (merged from duplicates)
+//   remove        items to delete (duplicates, unmatched items with WEBFLOW_UNMATCHED_ITEMS=delete)
+//   archive       unmatched items to archive
+//   actions       what was found and done
+function reconcileItems(coins, existingItems, { quarantinedIds = new Set() } = {}) {
+  const { duplicates, backfillIds, unmatched } = config.webflow.reconcile;
+  checkStrategy('WEBFLOW_DUPLICATES', duplicates, DUPLICATE_STRATEGIES);
+  checkStrategy('WEBFLOW_UNMATCHED_ITEMS', unmatched, UNMATCHED_STRATEGIES);
+
+  const result = { items: [], remove: [], archive: [], fieldUpdates: new Map(), actions: [] };
+  const matched = new Map();
+  const coinIdOf = item => matched.get(item) ?? item.fieldData['coingecko-id'];
+  result.coinIdOf = coinIdOf;
+
+  const coinsById = new Map(coins.map(coin => [coin.id, coin]));
+  const expected = new Map(coins.map(coin => [coin.id, mapCoin(coin, 'webflow')]));
+
+  // Coins by name and symbol; two coins sharing both can't be told apart, so neither is matched
+  const byIdentity = new Map();
+  for (const [id, fieldData] of expected) {
+    const key = identity(fieldData);
+    if (key) byIdentity.set(key, byIdentity.has(key) ? null : id);
+  }
+  const itemIds = new Set(existingItems.map(item => item.fieldData['coingecko-id']).filter(Boolean));
+
+  // Step 1: Match items without an ID, or with one that left the set, by name and symbol
+  const unmatchedItems = [];
+  for (const item of existingItems) {
+    const id = item.fieldData['coingecko-id'];
+    if (id && coinsById.has(id)) continue;
+
+    const candidate = backfillIds ? byIdentity.get(identity(item.fieldData)) : null;
+    if (!id) {
+      if (candidate) {
+        matched.set(item, candidate);
+        result.actions.push({
+          type: 'backfill', coingeckoId: candidate, itemIds: [item.id],
+          message: `${itemLabel(item)} had no coingecko-id, matched to ${candidate} by name and symbol`
+        });
+      } else {
+        unmatchedItems.push(item);
+      }
+    } else if (candidate && !itemIds.has(candidate) && ![...matched.values()].includes(candidate)) {
+      // Only when the coin has no item of its own, otherwise this is just a coin that left the set
+      matched.set(item, candidate);
+      result.actions.push({
+        type: 'moved', coingeckoId: candidate, itemIds: [item.id],
+        message: `${itemLabel(item)} moved from coingecko-id ${id} to ${candidate} (same name and symbol)`
+      });
+    }
+  }
+
+  // Step 2: Unmatched items can't be synced; what happens to them is up to WEBFLOW_UNMATCHED_ITEMS
+  for (const item of unmatchedItems) {
+    // Archived by an earlier run already
+    if (unmatched === 'archive' && item.isArchived) continue;
+    if (unmatched === 'archive') result.archive.push(item);
+    if (unmatched === 'delete') result.remove.push(item);
+
+    const outcome = { archive: 'archiving', delete: 'deleting', keep: 'leaving' }[unmatched];
+    result.actions.push({
+      type: 'unmatched', coingeckoId: null, itemIds: [item.id],
+      message: `${itemLabel(item)} has no coingecko-id and matches no coin, ${outcome} it`
+    });
+  }
+
+  // Step 3: One item per coin; duplicates are resolved as WEBFLOW_DUPLICATES says
+  const groups = new Map();
+  existingItems.forEach((item, index) => {
+    const id = coinIdOf(item);
+    if (!id) return;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push({ item, order: createdAt(item, index) });
+  });
+
+  for (const [id, group] of groups) {
+    const ordered = group.sort((a, b) => a.order - b.order).map(entry => entry.item);
+    if (ordered.length === 1 || !coinsById.has(id)) {
+      // Duplicates of coins outside the set are archived or deleted together anyway
+      result.items.push(...ordered);
+      continue;
+    }
+
+    // Quarantined coins are left untouched, so their duplicates are only reported
+    const strategy = quarantinedIds.has(id) ? 'report' : duplicates;
+    const survivor = strategy === 'newest' ? ordered[ordered.length - 1] : ordered[0];
+    const others = ordered.filter(item => item !== survivor);
+    result.items.push(survivor);
+
+    let message = `${ordered.length} items for ${id}: `;
+    if (strategy === 'report') {
+      message += `syncing ${itemLabel(survivor)}, leaving ${others.map(itemLabel).join(', ')} alone`;
+    } else {
+      result.remove.push(...others);
+      message += `kept ${itemLabel(survivor)}, deleting ${others.map(itemLabel).join(', ')}`;
+      if (strategy === 'merge') {
+        const merged = mergedFields(survivor, others);
+        if (Object.keys(merged).length > 0) {
+          result.fieldUpdates.set(survivor.id, merged);
+          message += `; merged ${Object.keys(merged).join(', ')}`;
+        }
+      }
+    }
+    result.actions.push({ type: 'duplicate', coingeckoId: id, itemIds: ordered.map(item => item.id), message });
+  }
+
+  // Step 4: Report rebrands (the sync writes CoinGecko's name and symbol)
+  for (const item of result.items) {
+    const id = coinIdOf(item);
+    if (!coinsById.has(id) || quarantinedIds.has(id)) continue;
+
+    const fieldData = expected.get(id);
+    const differs = ['name', 'symbol'].filter(slug =>
+      !isEmpty(item.fieldData[slug]) && normalize(item.fieldData[slug]) !== normalize(fieldData[slug]));
+    if (differs.length > 0) {
+      result.actions.push({
+        type: 'mismatch', coingeckoId: id, itemIds: [item.id],
+        message: `${itemLabel(item)} no longer matches CoinGecko: ` +
+          differs.map(slug => `${slug} "${item.fieldData[slug]}" → "${fieldData[slug]}"`).join(', ')
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = { reconcileItems, DUPLICATE_STRATEGIES, UNMATCHED_STRATEGIES };
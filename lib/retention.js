@@ -0,0 +1,35 @@
+// Retention for coins that leave the set
+// A delisted coin's Webflow item is archived and its chart data kept for a grace
+// period (in days and/or runs); only once that expires is anything deleted.
+const { config, DAY_MS } = require('./config');
+
+// Update the delisted entries from the previous run's state
+// outsideIds: every coin ID that still has an item, chart file or history but isn't in the set
+// Returns { delisted, expiredIds }
+function trackDelisted(previous = {}, outsideIds, now = Date.now()) {
+  const delisted = {};
+  const expiredIds = new Set();
+
+  for (const coinId of outsideIds) {
+    const entry = previous[coinId]
+      ? { since: previous[coinId].since, runs: previous[coinId].runs + 1 }
+      : { since: new Date(now).toISOString(), runs: 1 };
+
+    delisted[coinId] = entry;
+    if (isExpired(entry, now)) expiredIds.add(coinId);
+  }
+
+  return { delisted, expiredIds };
+}
+
+// Expired once either configured grace period has passed; with neither set, straight away
+function isExpired(entry, now) {
+  const { graceDays, graceRuns } = config.retention;
+  if (!graceDays && !graceRuns) return true;
+
+  const daysExpired = graceDays > 0 && now - Date.parse(entry.since) >= graceDays * DAY_MS;
+  const runsExpired = graceRuns > 0 && entry.runs > graceRuns;
+  return daysExpired || runsExpired;
+}
+
+module.exports = { trackDelisted };
@@ -0,0 +1,166 @@
+// Machine-readable report of a run, written to data/run-report.json at the end of every run (git-ignored,
+// the workflow keeps it as an artifact)
+// Steps record their timing and outcome here; at the end the failure policy (FATAL_STEPS,
+// MAX_FAILURE_RATE) turns them into the run status: ok, degraded or failed.
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+const { httpClient } = require('./http-client');
+const { notify } = require('./notify');
+
+function createRunReport() {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    dryRun: config.dryRun,
+    // ok, degraded or failed
+    status: null,
+    // Why the run isn't ok: { step, message, fatal }
+    problems: [],
+    // { name, kind, durationMs, status (ok, degraded, failed, skipped), error, items: { total, failed } }
+    steps: [],
+    // Per destination: its results and the outcome of every item written
+    destinations: {},
+    charts: { planned: 0, attempted: [], saved: [], failed: [] },
+    profiles: { cached: 0, attempted: [], fetched: [], failed: [] },
+    // Market data providers that were down, and took the run onto a fallback: { provider, label, error }
+    providers: { outages: [] },
+    quarantined: [],
+    alerts: [],
+    // Requests per API host (httpClient.stats())
+    api: {}
+  };
+}
+
+// Report shared by the whole run
+const report = createRunReport();
+
+// Message, code and, for HTTP failures, the status and body of an error
+function describeError(error) {
+  return {
+    message: error.message,
+    code: typeof error.code === 'string' ? error.code : null,
+    status: error.status ?? error.response?.status ?? null,
+    body: error.body ?? error.response?.data ?? null
+  };
+}
+
+// Step status from how many of its items failed
+function itemStatus(total, failed) {
+  if (failed === 0) return 'ok';
+  return failed / total > config.report.maxFailureRate ? 'failed' : 'degraded';
+}
+
+// Record how many of a step's items failed, and the status that follows from it
+function setStepItems(step, total, failed) {
+  step.items = { total, failed };
+  step.status = itemStatus(total, failed);
+}
+
+// Run a step and record its timing and outcome
+// A failing step is recorded and the run carries on (the result is undefined), unless it is
+// `critical`: the rest of the run depends on it, so the error is thrown on.
+async function runStep(name, fn, { critical = false } = {}) {
+  const step = { name, kind: 'step', durationMs: null, status: 'ok', error: null, items: null };
+  report.steps.push(step);
+  const started = Date.now();
+
+  try {
+    return await fn(step);
+  } catch (error) {
+    step.status = 'failed';
+    step.error = describeError(error);
+    if (critical) throw error;
+    console.error(`  ❌ ${name} failed:`, error.message);
+    return undefined;
+  } finally {
+    step.durationMs = Date.now() - started;
+  }
+}
+
+// Record a destination run (see lib/destinations) as a step
+function recordDestination(run) {
+  const { destination, results, error, skipped, timings } = run;
+  const items = results?.items || [];
+  const failedItems = items.filter(item => !item.ok);
+  const step = {
+    name: destination.name,
+    kind: 'destination',
+    durationMs: (timings.read || 0) + (timings.sync || 0),
+    status: 'ok',
+    error: error ? describeError(error) : null,
+    items: { total: items.length, failed: failedItems.length }
+  };
+
+  if (skipped) step.status = 'skipped';
+  else if (error) step.status = 'failed';
+  else step.status = itemStatus(items.length, failedItems.length);
+
+  report.steps.push(step);
+  const { items: _, ...counts } = results || {};
+  report.destinations[destination.name] = { label: destination.label, status: step.status, results: results ? counts : null, items };
+}
+
+function isFatal(step) {
+  const { fatalSteps } = config.report;
+  return fatalSteps.includes(step.name) || (step.kind === 'destination' && fatalSteps.includes('destinations'));
+}
+
+// Add a problem that isn't tied to a step's status (e.g. too many quarantined coins)
+function addProblem(step, message, { fatal = false } = {}) {
+  report.problems.push({ step, message, fatal });
+}
+
+// Apply the failure policy and close the report; `error` is a crash that ended the run early
+function finishRunReport(error = null) {
+  if (error) addProblem('run', error.message, { fatal: true });
+
+  for (const step of report.steps) {
+    if (step.status === 'failed') {
+      const reason = step.error ? step.error.message : `${step.items.failed}/${step.items.total} items failed`;
+      addProblem(step.name, reason, { fatal: isFatal(step) });
+    } else if (step.status === 'degraded') {
+      addProblem(step.name, `${step.items.failed}/${step.items.total} items failed`);
+    }
+  }
+
+  report.status = report.problems.some(problem => problem.fatal) ? 'failed'
+    : report.problems.length > 0 ? 'degraded' : 'ok';
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+  report.api = httpClient.stats();
+  return report.status;
+}
+
+// Write the report (not in a dry run, which writes nothing)
+async function writeRunReport() {
+  if (config.dryRun) return;
+  await fs.mkdir(path.dirname(config.report.file), { recursive: true });
+  await fs.writeFile(config.report.file, JSON.stringify(report, null, 2) + '\n');
+  console.log(`📝 Run report written to ${path.relative(process.cwd(), config.report.file)}`);
+}
+
+// Post the report to the notification channels, as RUN_REPORT_NOTIFY asks
+async function notifyRunReport() {
+  const mode = config.report.notify;
+  if (mode === 'off' || (mode === 'degraded' && report.status === 'ok')) return;
+
+  await notify({
+    title: `Sync ${report.status}${report.dryRun ? ' (dry run)' : ''}`,
+    lines: report.problems.map(problem => `• ${problem.step}: ${problem.message}${problem.fatal ? ' (fatal)' : ''}`),
+    payload: { report }
+  });
+}
+
+module.exports = {
+  report,
+  createRunReport,
+  runStep,
+  setStepItems,
+  recordDestination,
+  addProblem,
+  finishRunReport,
+  writeRunReport,
+  notifyRunReport
+};
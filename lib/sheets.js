@@ -0,0 +1,331 @@
+// Google Sheets: upserts one row per coin in place, appends to the history tab and logs set changes
+// Only the columns from the field mapping are written, so formulas, notes and extra columns added
+// by hand are left alone. All writes of a run go out in a single spreadsheets.batchUpdate call.
+const { google } = require('googleapis');
+const { config, primaryCurrency } = require('./config');
+const { mapCoin, destinationFieldNames, volatileFieldNames } = require('./field-mapping');
+const { plan } = require('./plan');
+
+const CHANGES_HEADERS = ['run_at', 'coingecko_id', 'name', 'change'];
+
+function createSheetsClient() {
+  const auth = new google.auth.GoogleAuth({
+    credentials: JSON.parse(config.sheets.serviceAccount),
+    scopes: ['https://www.googleapis.com/auth/spreadsheets']
+  });
+  return google.sheets({ version: 'v4', auth });
+}
+
+// The primary currency uses the main tab, every other currency its own tab
+function currencyTabName(currency) {
+  if (currency === primaryCurrency()) return config.sheets.tab;
+  return config.sheets.currencyTab.replace('{CURRENCY}', currency.toUpperCase());
+}
+
+function historyTabName(runAt) {
+  const { historyTab, historyRollover } = config.sheets;
+  return historyRollover === 'monthly' ? `${historyTab} ${runAt.slice(0, 7)}` : historyTab;
+}
+
+// Whether rows are appended to a tab (a history tab of any month, or the changes tab)
+function isAppendTab(title) {
+  const { historyTab, changesTab } = config.sheets;
+  if (historyTab && (title === historyTab || title.startsWith(`${historyTab} `))) return true;
+  return Boolean(changesTab) && title === changesTab;
+}
+
+// A1 range covering a whole tab
+function tabRange(title) {
+  return `'${title.replace(/'/g, "''")}'`;
+}
+
+function cellData(value) {
+  if (value === null || value === undefined || value === '') return {};
+  if (typeof value === 'number' && Number.isFinite(value)) return { userEnteredValue: { numberValue: value } };
+  if (typeof value === 'boolean') return { userEnteredValue: { boolValue: value } };
+  return { userEnteredValue: { stringValue: String(value) } };
+}
+
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+// Tabs by title ({ sheetId, rowCount, columnCount }), with requests to add the ones that are missing
+function createTabRegistry(spreadsheet) {
+  const tabs = new Map();
+  let nextId = 1;
+
+  for (const sheet of spreadsheet.sheets || []) {
+    const { sheetId, title, gridProperties = {} } = sheet.properties;
+    tabs.set(title, { sheetId, rowCount: gridProperties.rowCount || 0, columnCount: gridProperties.columnCount || 0 });
+    nextId = Math.max(nextId, sheetId + 1);
+  }
+
+  return {
+    get: title => tabs.get(title),
+    titles: () => [...tabs.keys()],
+    // Existing tab, or a new one added by the first request of the batch
+    ensure(title, requests) {
+      if (!tabs.has(title)) {
+        const tab = { sheetId: nextId++, rowCount: 1000, columnCount: 26 };
+        requests.push({
+          addSheet: { properties: { sheetId: tab.sheetId, title, gridProperties: { rowCount: tab.rowCount, columnCount: tab.columnCount } } }
+        });
+        tabs.set(title, tab);
+      }
+      return tabs.get(title);
+    }
+  };
+}
+
+// Grow a tab's grid so updateCells can reach `rows` x `columns`
+function growRequests(tab, rows, columns) {
+  const requests = [];
+  if (rows > tab.rowCount) {
+    requests.push({ appendDimension: { sheetId: tab.sheetId, dimension: 'ROWS', length: rows - tab.rowCount } });
+    tab.rowCount = rows;
+  }
+  if (columns > tab.columnCount) {
+    requests.push({ appendDimension: { sheetId: tab.sheetId, dimension: 'COLUMNS', length: columns - tab.columnCount } });
+    tab.columnCount = columns;
+  }
+  return requests;
+}
+
+// Requests that upsert `rows` (keyed by their first column) into a tab, writing only the owned columns
+// New coins are appended, rows of coins that are no longer synced are deleted, and
+// quarantined coins keep their current row. Planned row changes are recorded on the plan.
+// Returns { requests, added, changed, removed }
+function upsertRequests(title, tab, current, headers, rows, quarantinedIds) {
+  const [currentHeader = [], ...currentRows] = current;
+  const header = [...currentHeader];
+  const columns = headers.map(name => {
+    if (!header.includes(name)) header.push(name);
+    return header.indexOf(name);
+  });
+
+  const idColumn = currentHeader.indexOf(headers[0]);
+  const rowIndexById = new Map();
+  currentRows.forEach((row, index) => {
+    const id = idColumn === -1 ? '' : String(row[idColumn] ?? '');
+    if (id) rowIndexById.set(id, index + 1);
+  });
+
+  const volatile = new Set(volatileFieldNames('sheets'));
+  const nextIds = new Set(rows.map(row => String(row[0])));
+  const writes = new Map(); // grid row index -> values in `headers` order
+  const counts = { added: 0, changed: 0, removed: 0 };
+  let nextRow = currentRows.length + 1;
+
+  for (const row of rows) {
+    const id = String(row[0]);
+    const rowIndex = rowIndexById.get(id);
+
+    if (rowIndex === undefined) {
+      if (quarantinedIds.has(id)) continue;
+      plan.sheets.rowsAdded.push({ tab: title, coingeckoId: id });
+      counts.added++;
+      writes.set(nextRow++, row);
+      continue;
+    }
+
+    if (quarantinedIds.has(id)) continue;
+    const existing = currentRows[rowIndex - 1];
+    const changes = {};
+    headers.forEach((name, index) => {
+      const before = existing[columns[index]] ?? null;
+      if (!volatile.has(name) && !sameValue(before, row[index])) changes[name] = { from: before, to: row[index] ?? null };
+    });
+    if (Object.keys(changes).length > 0) {
+      plan.sheets.rowsChanged.push({ tab: title, coingeckoId: id, changes });
+      counts.changed++;
+    }
+    writes.set(rowIndex, row);
+  }
+
+  // Header cells for owned columns the tab doesn't have yet
+  const newHeaders = headers.filter(name => !currentHeader.includes(name));
+  if (newHeaders.length > 0) writes.set(0, null);
+
+  const requests = growRequests(tab, nextRow, header.length);
+
+  // One updateCells per run of consecutive rows in each owned column
+  const rowIndexes = [...writes.keys()].sort((a, b) => a - b);
+  headers.forEach((name, index) => {
+    let start = null;
+    let cells = [];
+    const flush = () => {
+      if (cells.length === 0) return;
+      requests.push({
+        updateCells: {
+          start: { sheetId: tab.sheetId, rowIndex: start, columnIndex: columns[index] },
+          rows: cells,
+          fields: 'userEnteredValue'
+        }
+      });
+      cells = [];
+    };
+
+    for (const rowIndex of rowIndexes) {
+      const row = writes.get(rowIndex);
+      // Header row only for columns that are new to the tab
+      if (row === null && !newHeaders.includes(name)) continue;
+      if (start === null || rowIndex !== start + cells.length) {
+        flush();
+        start = rowIndex;
+      }
+      cells.push({ values: [cellData(row === null ? name : row[index])] });
+    }
+    flush();
+  });
+
+  // Deletions last and bottom-up, so the row indexes above stay valid
+  const removed = [...rowIndexById.entries()]
+    .filter(([id]) => !nextIds.has(id))
+    .sort((a, b) => b[1] - a[1]);
+  for (const [id, rowIndex] of removed) {
+    plan.sheets.rowsRemoved.push({ tab: title, coingeckoId: id });
+    counts.removed++;
+    requests.push({ deleteDimension: { range: { sheetId: tab.sheetId, dimension: 'ROWS', startIndex: rowIndex, endIndex: rowIndex + 1 } } });
+  }
+
+  return { requests, ...counts };
+}
+
+// Requests appending rows (in `headers` order) to a tab, lined up with its header row
+// Columns the header doesn't have yet are added at its end (the whole header on a new tab), so rows of
+// earlier runs keep their columns when the mapping changes; columns no longer written are left empty.
+function appendRequests(tab, currentHeader, headers, rows) {
+  const header = [...currentHeader];
+  const columns = headers.map(name => {
+    if (!header.includes(name)) header.push(name);
+    return header.indexOf(name);
+  });
+
+  const requests = growRequests(tab, tab.rowCount, header.length);
+  if (header.length > currentHeader.length) {
+    requests.push({
+      updateCells: {
+        start: { sheetId: tab.sheetId, rowIndex: 0, columnIndex: currentHeader.length },
+        rows: [{ values: header.slice(currentHeader.length).map(cellData) }],
+        fields: 'userEnteredValue'
+      }
+    });
+  }
+
+  requests.push({
+    appendCells: {
+      sheetId: tab.sheetId,
+      rows: rows.map(row => {
+        const values = header.map(() => ({}));
+        columns.forEach((column, index) => {
+          values[column] = cellData(row[index]);
+        });
+        return { values };
+      }),
+      fields: 'userEnteredValue'
+    }
+  });
+  return requests;
+}
+
+function isConfigured() {
+  return Boolean(config.sheets.serviceAccount && config.sheets.sheetId);
+}
+
+// Read the tab list, then the current contents of the tabs we upsert into and the header rows of those
+// we append to
+async function readSpreadsheet() {
+  const sheets = createSheetsClient();
+  const spreadsheetId = config.sheets.sheetId;
+  const titles = config.currencies.map(currencyTabName);
+
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties(sheetId,title,gridProperties)'
+  });
+  const tabs = createTabRegistry(spreadsheet.data);
+
+  const existingTitles = titles.filter(title => tabs.get(title));
+  const appendTitles = tabs.titles().filter(title => isAppendTab(title) && !titles.includes(title));
+  const currentValues = new Map();
+  const headerRows = new Map();
+  if (existingTitles.length + appendTitles.length > 0) {
+    const response = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: [...existingTitles.map(tabRange), ...appendTitles.map(title => `${tabRange(title)}!1:1`)],
+      valueRenderOption: 'UNFORMATTED_VALUE'
+    });
+    const ranges = response.data.valueRanges;
+    existingTitles.forEach((title, index) => currentValues.set(title, ranges[index].values || []));
+    appendTitles.forEach((title, index) => headerRows.set(title, ranges[existingTitles.length + index].values?.[0] || []));
+  }
+
+  return { sheets, tabs, currentValues, headerRows };
+}
+
+// Every request of the run: upserts into one tab per quote currency, the history rows and the set changes
+// `changes` lists coins that entered or left the set since the last run ({ id, name, change })
+// Returns { requests, added, changed, removed, appended }
+function planSheetRequests(coins, spreadsheet, { quarantinedIds = new Set(), changes = [], runAt = new Date().toISOString() } = {}) {
+  const { tabs, currentValues, headerRows = new Map() } = spreadsheet;
+  const summary = { requests: [], added: 0, changed: 0, removed: 0, appended: 0 };
+
+  // Columns and values come from the field mapping
+  const headers = destinationFieldNames('sheets');
+
+  for (const currency of config.currencies) {
+    const title = currencyTabName(currency);
+    const rows = coins.map(coin => {
+      const values = mapCoin(coin, 'sheets', { now: runAt, currency });
+      return headers.map(header => values[header]);
+    });
+    const tab = tabs.ensure(title, summary.requests);
+    const upsert = upsertRequests(title, tab, currentValues.get(title) || [], headers, rows, quarantinedIds);
+    summary.requests.push(...upsert.requests);
+    summary.added += upsert.added;
+    summary.changed += upsert.changed;
+    summary.removed += upsert.removed;
+  }
+
+  const append = (title, tabHeaders, rows) => {
+    const tab = tabs.ensure(title, summary.requests);
+    summary.requests.push(...appendRequests(tab, headerRows.get(title) || [], tabHeaders, rows));
+    plan.sheets.appended.push({ tab: title, rows: rows.length });
+    summary.appended += rows.length;
+  };
+
+  // History: one row per coin per run in the primary currency
+  if (config.sheets.historyTab) {
+    const rows = coins
+      .filter(coin => !quarantinedIds.has(coin.id))
+      .map(coin => {
+        const values = mapCoin(coin, 'sheets', { now: runAt, currency: primaryCurrency() });
+        return [runAt, ...headers.map(header => values[header])];
+      });
+    if (rows.length > 0) append(historyTabName(runAt), ['run_at', ...headers], rows);
+  }
+
+  // Changes: coins that entered or left the set
+  if (config.sheets.changesTab && changes.length > 0) {
+    append(config.sheets.changesTab, CHANGES_HEADERS, changes.map(({ id, name, change }) => [runAt, id, name, change]));
+  }
+
+  return summary;
+}
+
+// Send the requests in a single batchUpdate call (nothing is sent in a dry run)
+async function sendSheetRequests(spreadsheet, requests) {
+  if (config.dryRun) {
+    console.log(`  📝 Would send ${requests.length} request(s) in one batch update`);
+    return;
+  }
+
+  await spreadsheet.sheets.spreadsheets.batchUpdate({
+    spreadsheetId: config.sheets.sheetId,
+    resource: { requests }
+  });
+  console.log(`  ✅ Sent ${requests.length} request(s) in one batch update`);
+}
+
+module.exports = { isConfigured, readSpreadsheet, planSheetRequests, sendSheetRequests };
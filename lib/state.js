@@ -0,0 +1,25 @@
+// State carried between runs (data/state.json), committed alongside the chart data
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+
+function stateFile() {
+  return path.join(config.dataDir, 'state.json');
+}
+
+// Load the previous run's state; an empty object on the first run
+async function loadState() {
+  try {
+    return JSON.parse(await fs.readFile(stateFile(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+async function saveState(state) {
+  await fs.mkdir(path.dirname(stateFile()), { recursive: true });
+  await fs.writeFile(stateFile(), JSON.stringify(state, null, 2) + '\n');
+}
+
+module.exports = { loadState, saveState };
@@ -0,0 +1,526 @@
+// Webflow CMS: read the collection and reconcile its items with the coin list
+const { config } = require('./config');
+const { httpClient } = require('./http-client');
+const { mapCoin, volatileFieldNames, editorOwnedFieldNames } = require('./field-mapping');
+const { plan } = require('./plan');
+const { allowDeletes } = require('./guardrails');
+const { reconcileItems } = require('./reconcile');
+const { keepEditorFields } = require('./profiles');
+
+const WEBFLOW_API_URL = 'https://api.webflow.com/v2';
+
+// Webflow's bulk item endpoints take at most 100 items per request
+const BULK_CHUNK_SIZE = 100;
+
+// Field types written as IDs: an option of the field, or items of the referenced collection
+const CHOICE_TYPES = ['Option', 'Reference', 'MultiReference'];
+
+// The collection's fields by slug and, per Option or reference field, the IDs of its choices by name
+// (set by useCollectionSchema)
+let collectionFields = new Map();
+let choiceIds = new Map();
+// Names no choice was found for this run, by slug
+const unknownChoices = new Map();
+
+function collectionUrl(suffix = '', collectionId = config.webflow.collectionId) {
+  return `${WEBFLOW_API_URL}/collections/${collectionId}${suffix}`;
+}
+
+function webflowHeaders(withBody = false) {
+  const headers = {
+    'Authorization': `Bearer ${config.webflow.apiToken}`,
+    'accept': 'application/json'
+  };
+  if (withBody) headers['Content-Type'] = 'application/json';
+  return headers;
+}
+
+// Fetch the collection definition (fields, slugs and types); null if it can't be read
+async function fetchCollectionSchema() {
+  const response = await httpClient.request(collectionUrl(), { headers: webflowHeaders() });
+  if (!response.ok) return null;
+  return await response.json();
+}
+
+// Get all existing items from Webflow (from the coin collection unless another is given)
+async function getAllWebflowItems(collectionId = config.webflow.collectionId) {
+  const items = [];
+  let offset = 0;
+  const limit = 100;
+
+  while (true) {
+    const response = await httpClient.request(
+      collectionUrl(`/items?limit=${limit}&offset=${offset}`, collectionId),
+      { headers: webflowHeaders() }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Webflow items: ${response.status}`);
+    }
+
+    const data = await response.json();
+    items.push(...data.items);
+
+    if (data.items.length < limit) {
+      break;
+    }
+
+    offset += limit;
+  }
+
+  return items;
+}
+
+// Lowercase letters and digits only, so "Layer 1 (L1)" finds the option "layer-1-l1"
+function choiceKey(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Learn the collection's field types and the IDs behind its Option and reference fields; the items of
+// every referenced collection are read once, by name and slug. Without a schema names are sent as they are.
+async function useCollectionSchema(schema) {
+  collectionFields = new Map((schema?.fields || []).map(field => [field.slug, field]));
+  choiceIds = new Map();
+
+  for (const field of collectionFields.values()) {
+    if (!CHOICE_TYPES.includes(field.type)) continue;
+    const ids = new Map();
+    if (field.type === 'Option') {
+      (field.validations?.options || []).forEach(option => ids.set(choiceKey(option.name), option.id));
+    } else if (field.validations?.collectionId) {
+      for (const item of await getAllWebflowItems(field.validations.collectionId)) {
+        ids.set(choiceKey(item.fieldData.slug), item.id);
+        ids.set(choiceKey(item.fieldData.name), item.id);
+      }
+    }
+    choiceIds.set(field.slug, ids);
+  }
+}
+
+// Swap the names in Option and reference fields for their IDs: the first known name for an Option or
+// Reference, every known one for a MultiReference
+function resolveChoices(fieldData) {
+  for (const [slug, ids] of choiceIds) {
+    const value = fieldData[slug];
+    if (value === undefined || value === null) continue;
+
+    const names = [].concat(value);
+    const found = [...new Set(names.map(name => ids.get(choiceKey(name))).filter(Boolean))];
+    const missing = names.filter(name => !ids.has(choiceKey(name)));
+    if (missing.length > 0) {
+      if (!unknownChoices.has(slug)) unknownChoices.set(slug, new Set());
+      missing.forEach(name => unknownChoices.get(slug).add(name));
+    }
+    fieldData[slug] = collectionFields.get(slug).type === 'MultiReference' ? found : found[0] || null;
+  }
+  return fieldData;
+}
+
+// Webflow field data for a coin, as declared in the field mapping
+function buildFieldData(coin) {
+  return resolveChoices(mapCoin(coin, 'webflow'));
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// RichText as Webflow hands it back can differ in markup, so only the text is compared
+function richText(value) {
+  return String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Two field values count as equal when they match exactly, are both empty, or are both numeric
+// and within the relative tolerance of each other. Lists (references) are compared as sets, RichText
+// by its text and DateTime fields by the time they stand for.
+function valuesEqual(current, next, tolerance, type) {
+  if (current === next) return true;
+  if (isBlank(current) && isBlank(next)) return true;
+  if (isBlank(current)) return false;
+  if (Array.isArray(current) || Array.isArray(next)) {
+    const a = new Set([].concat(current ?? []));
+    const b = new Set([].concat(next ?? []));
+    return a.size === b.size && [...a].every(value => b.has(value));
+  }
+  if (type === 'RichText') return richText(current) === richText(next);
+  if (type === 'DateTime' && !isBlank(next)) return Date.parse(current) === Date.parse(next);
+
+  const a = Number(current);
+  const b = Number(next);
+  if (!Number.isFinite(a) || !Number.isFinite(b) || String(next).trim() === '') return false;
+  if (a === b) return true;
+
+  return Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b)) <= tolerance;
+}
+
+// Slugs whose value would change, ignoring fields that change on every run
+function diffFieldData(currentFields, nextFields, tolerance = config.webflow.numericTolerance) {
+  const volatile = new Set(volatileFieldNames('webflow'));
+  return Object.keys(nextFields).filter(slug =>
+    !volatile.has(slug) && !valuesEqual(currentFields?.[slug], nextFields[slug], tolerance, collectionFields.get(slug)?.type)
+  );
+}
+
+function chunk(items, size = BULK_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Send items to a bulk endpoint in chunks; returns the items whose chunk succeeded, and the failed
+// chunks as { items, error, status, body }
+// In a dry run nothing is sent and every item counts as succeeded
+async function sendBulk(method, items, label) {
+  const succeeded = [];
+  const failures = [];
+  let failed = 0;
+
+  if (config.dryRun) {
+    return { succeeded: items, failed, failures };
+  }
+
+  for (const part of chunk(items)) {
+    try {
+      const response = await httpClient.request(collectionUrl('/items'), {
+        method,
+        headers: webflowHeaders(true),
+        body: JSON.stringify({ items: part })
+      });
+
+      if (response.ok) {
+        const data = await response.json().catch(() => ({}));
+        succeeded.push(...(data.items || part));
+      } else {
+        const errorText = await response.text();
+        console.error(`  ❌ Bulk ${label} of ${part.length} items failed (${response.status}): ${errorText}`);
+        failed += part.length;
+        failures.push({ items: part, error: `Bulk ${label} failed`, status: response.status, body: errorText });
+      }
+    } catch (error) {
+      console.error(`  ❌ Bulk ${label} of ${part.length} items failed:`, error.message);
+      failed += part.length;
+      failures.push({ items: part, error: error.message, status: null, body: null });
+    }
+  }
+
+  return { succeeded, failed, failures };
+}
+
+// Outcome of every item sent, for the run report: { coingeckoId, itemId, action, ok, error, status, body }
+// `entries` are the items as sent, `coinIdOf` finds the coin ID of one
+function itemOutcomes(action, entries, { failures }, coinIdOf) {
+  const failedEntries = new Map();
+  for (const failure of failures) {
+    failure.items.forEach(item => failedEntries.set(item, failure));
+  }
+
+  return entries.map(entry => {
+    const failure = failedEntries.get(entry);
+    return {
+      coingeckoId: coinIdOf(entry) || null,
+      itemId: entry.id || null,
+      action,
+      ok: !failure,
+      error: failure ? failure.error : null,
+      status: failure ? failure.status : null,
+      body: failure ? failure.body : null
+    };
+  });
+}
+
+// Work out how the collection has to change for the coins - ARCHIVE or DELETE old, UPDATE changed, CREATE new
+// The items are reconciled first (duplicates, missing and moved IDs, see lib/reconcile.js).
+// Coins that left the set are archived; only those in expiredIds are deleted.
+// An archived item is restored under its original ID when its coin returns.
+// Quarantined coins (quarantinedIds) are left untouched. Planned changes are recorded on the dry-run plan.
+// Editor-owned fields are only filled in while empty; a new item gets the editor copy kept from a deleted one.
+function diffItems(coins, existingItems, { expiredIds = new Set(), quarantinedIds = new Set() } = {}) {
+  const changes = {
+    toArchive: [], toDelete: [], toUpdate: [], toCreate: [],
+    restoreIds: new Set(), skipped: 0, quarantined: 0, deletesRefused: 0, reconciliation: []
+  };
+
+  // Get the coin IDs in the current set
+  const currentIds = new Set(coins.map(coin => coin.id));
+
+  console.log(`\nCurrent coins:`, Array.from(currentIds).join(', '));
+
+  // Step 1: One item per coin, each with the coin it belongs to
+  const reconciled = reconcileItems(coins, existingItems, { quarantinedIds });
+  const { items, coinIdOf, fieldUpdates } = reconciled;
+  changes.reconciliation = reconciled.actions;
+  plan.webflow.reconcile.push(...reconciled.actions);
+  reconciled.actions.forEach(action => console.log(`  🧩 ${action.message}`));
+
+  // Step 2: Items NOT in the current set are archived, or deleted once their grace period is over
+  // Duplicates (and unmatched items, if so configured) are deleted too
+  const outsideItems = items.filter(item => !currentIds.has(coinIdOf(item)));
+  changes.toDelete = [
+    ...reconciled.remove,
+    ...outsideItems.filter(item => expiredIds.has(coinIdOf(item)))
+  ];
+  // Too many deletions at once points at bad data, so they are archived instead
+  if (changes.toDelete.length > 0 && !allowDeletes(changes.toDelete.length, 'Webflow items')) {
+    changes.deletesRefused = changes.toDelete.length;
+    changes.toDelete = [];
+  }
+  changes.toArchive = [...outsideItems, ...reconciled.remove, ...reconciled.archive].filter(item =>
+    !item.isArchived && !changes.toDelete.includes(item)
+  );
+
+  changes.toArchive.forEach(item => plan.webflow.archive.push(describeItem(item)));
+  changes.toDelete.forEach(item => plan.webflow.delete.push(describeItem(item)));
+
+  // Step 3: Items for coins in the current set, archived ones included
+  const existingItemsMap = new Map(
+    items.filter(item => currentIds.has(coinIdOf(item))).map(item => [coinIdOf(item), item])
+  );
+  const editorOwned = editorOwnedFieldNames('webflow');
+
+  console.log(`\nSyncing ${coins.length} coins to Webflow...\n`);
+
+  // Step 4: Work out which coins changed and which are new
+  for (let i = 0; i < coins.length; i++) {
+    const coin = coins[i];
+    const existingItem = existingItemsMap.get(coin.id);
+
+    // Quarantined coins keep whatever Webflow has now
+    if (quarantinedIds.has(coin.id)) {
+      console.log(`[${i + 1}/${coins.length}] Quarantined: ${coin.name || coin.id}, leaving as is`);
+      changes.quarantined++;
+      continue;
+    }
+
+    // Fields merged in from duplicates go along with the mapped ones
+    const fieldData = { ...fieldUpdates.get(existingItem?.id), ...buildFieldData(coin) };
+    for (const slug of editorOwned) {
+      const kept = existingItem ? existingItem.fieldData[slug] : coin.editorFields?.[slug];
+      if (!isBlank(kept)) fieldData[slug] = kept;
+    }
+
+    if (existingItem) {
+      const changed = diffFieldData(existingItem.fieldData, fieldData);
+      if (changed.length === 0 && !existingItem.isArchived && !existingItem.isDraft) {
+        changes.skipped++;
+        continue;
+      }
+
+      const planned = { ...describeItem(existingItem), changes: describeChanges(existingItem.fieldData, fieldData, changed) };
+      if (existingItem.isArchived) {
+        console.log(`[${i + 1}/${coins.length}] Restoring: ${coin.name} (RETURNED to the set)`);
+        plan.webflow.restore.push(planned);
+        changes.restoreIds.add(existingItem.id);
+      } else {
+        console.log(`[${i + 1}/${coins.length}] Updating: ${coin.name} (${changed.join(', ') || 'status'})`);
+        plan.webflow.update.push(planned);
+      }
+      changes.toUpdate.push({ id: existingItem.id, fieldData, isArchived: false, isDraft: false });
+    } else {
+      // CREATE new coin (entered the set, or returned after its item was deleted)
+      console.log(`[${i + 1}/${coins.length}] Creating: ${coin.name} (NEW to the set)`);
+      plan.webflow.create.push({ coingeckoId: coin.id, name: coin.name, fieldData });
+      changes.toCreate.push({ fieldData, isArchived: false, isDraft: false });
+    }
+  }
+
+  if (changes.skipped > 0) {
+    console.log(`  ⏭️  ${changes.skipped} coins unchanged, skipping`);
+  }
+  for (const [slug, names] of unknownChoices) {
+    console.log(`  ⚠️  No Webflow ${collectionFields.get(slug).type} choice for "${slug}": ${[...names].join(', ')}`);
+  }
+  unknownChoices.clear();
+
+  return changes;
+}
+
+// Send the changes from diffItems through the bulk endpoints
+// `changedItemIds` lists the items written this run, for publishing; `items` the outcome of each one
+async function applyItemChanges(changes) {
+  const { toArchive, toDelete, toUpdate, toCreate, restoreIds } = changes;
+  const results = {
+    updated: 0, created: 0, restored: 0, archived: 0, deleted: 0, failed: 0,
+    skipped: changes.skipped, quarantined: changes.quarantined, deletesRefused: changes.deletesRefused,
+    reconciled: changes.reconciliation,
+    changedItemIds: [],
+    items: []
+  };
+  const coinIds = new Map([...toArchive, ...toDelete].map(item => [item.id, item.fieldData['coingecko-id']]));
+  const coinIdOf = entry => entry.fieldData ? entry.fieldData['coingecko-id'] : coinIds.get(entry.id);
+
+  if (toArchive.length > 0) {
+    console.log(`\n📦 Archiving ${toArchive.length} coins that left the set...`);
+    const entries = toArchive.map(item => ({ id: item.id, isArchived: true }));
+    const sent = await sendBulk('PATCH', entries, 'archive');
+    const { succeeded, failed } = sent;
+    results.items.push(...itemOutcomes('archive', entries, sent, coinIdOf));
+    const archivedIds = new Set(succeeded.map(item => item.id));
+    toArchive
+      .filter(item => archivedIds.has(item.id))
+      .forEach(item => console.log(`  ✅ Archived: ${item.fieldData.name || item.id}`));
+    results.archived += succeeded.length;
+    results.failed += failed;
+  }
+
+  if (toDelete.length > 0) {
+    console.log(`\n🗑️  Deleting ${toDelete.length} coins whose grace period is over...`);
+    const entries = toDelete.map(item => ({ id: item.id }));
+    const sent = await sendBulk('DELETE', entries, 'delete');
+    const { succeeded, failed } = sent;
+    results.items.push(...itemOutcomes('delete', entries, sent, coinIdOf));
+    const deletedIds = new Set(succeeded.map(item => item.id));
+    const deleted = toDelete.filter(item => deletedIds.has(item.id));
+    deleted.forEach(item => console.log(`  ✅ Deleted: ${item.fieldData.name || item.id}`));
+    if (!config.dryRun) await keepEditorFields(deleted);
+    results.deleted += succeeded.length;
+    results.failed += failed;
+  }
+
+  if (toArchive.length === 0 && toDelete.length === 0) {
+    console.log('\n✅ No coins to archive or delete');
+  }
+
+  if (toUpdate.length > 0) {
+    const sent = await sendBulk('PATCH', toUpdate, 'update');
+    const { succeeded, failed } = sent;
+    results.items.push(...itemOutcomes('update', toUpdate, sent, coinIdOf));
+    const restored = succeeded.filter(item => restoreIds.has(item.id)).length;
+    results.restored += restored;
+    results.updated += succeeded.length - restored;
+    results.failed += failed;
+    results.changedItemIds.push(...succeeded.map(item => item.id).filter(Boolean));
+  }
+
+  if (toCreate.length > 0) {
+    const sent = await sendBulk('POST', toCreate, 'create');
+    const { succeeded, failed } = sent;
+    results.items.push(...itemOutcomes('create', toCreate, sent, coinIdOf));
+    results.created += succeeded.length;
+    results.failed += failed;
+    results.changedItemIds.push(...succeeded.map(item => item.id).filter(Boolean));
+  }
+
+  return results;
+}
+
+// Item summary for the plan
+function describeItem(item) {
+  return { itemId: item.id, coingeckoId: item.fieldData['coingecko-id'] || null, name: item.fieldData.name || null };
+}
+
+// Field-level before/after values for the plan
+function describeChanges(currentFields, nextFields, slugs) {
+  const changes = {};
+  for (const slug of slugs) {
+    changes[slug] = { from: currentFields?.[slug] ?? null, to: nextFields[slug] };
+  }
+  return changes;
+}
+
+// Publish the given items to the live site, falling back to a full site publish if configured
+// Returns { mode, published, failed, error }
+async function publishItems(itemIds) {
+  const outcome = { mode: 'items', published: 0, failed: 0, error: null };
+
+  if (itemIds.length === 0) {
+    console.log('  ✅ Nothing to publish');
+    return outcome;
+  }
+
+  if (config.dryRun) {
+    plan.webflow.publish.push(...itemIds);
+    outcome.published = itemIds.length;
+    return outcome;
+  }
+
+  for (const part of chunk(itemIds)) {
+    try {
+      const response = await httpClient.request(collectionUrl('/items/publish'), {
+        method: 'POST',
+        headers: webflowHeaders(true),
+        body: JSON.stringify({ itemIds: part })
+      });
+
+      if (response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const published = data.publishedItemIds ? data.publishedItemIds.length : part.length;
+        outcome.published += published;
+        outcome.failed += part.length - published;
+      } else {
+        const errorText = await response.text();
+        console.error(`  ❌ Publishing ${part.length} items failed (${response.status}): ${errorText}`);
+        outcome.failed += part.length;
+        outcome.error = `${response.status}: ${errorText}`;
+      }
+    } catch (error) {
+      console.error(`  ❌ Publishing ${part.length} items failed:`, error.message);
+      outcome.failed += part.length;
+      outcome.error = error.message;
+    }
+  }
+
+  if (outcome.failed > 0 && config.webflow.publishFallback === 'site') {
+    console.log('  ↪️  Falling back to a full site publish...');
+    return publishSite();
+  }
+
+  console.log(`  ✅ Published ${outcome.published} item(s)`);
+  return outcome;
+}
+
+// Publish the whole site to the Webflow subdomain and every custom domain
+async function publishSite() {
+  const outcome = { mode: 'site', published: 0, failed: 0, error: null };
+  const siteId = config.webflow.siteId;
+
+  if (!siteId) {
+    outcome.error = 'WEBFLOW_SITE_ID is not set';
+    console.error(`  ❌ Site publish skipped: ${outcome.error}`);
+    return outcome;
+  }
+
+  try {
+    const siteResponse = await httpClient.request(`${WEBFLOW_API_URL}/sites/${siteId}`, { headers: webflowHeaders() });
+    if (!siteResponse.ok) {
+      throw new Error(`Failed to fetch site (${siteResponse.status})`);
+    }
+    const site = await siteResponse.json();
+
+    const response = await httpClient.request(`${WEBFLOW_API_URL}/sites/${siteId}/publish`, {
+      method: 'POST',
+      headers: webflowHeaders(true),
+      body: JSON.stringify({
+        publishToWebflowSubdomain: true,
+        customDomains: (site.customDomains || []).map(domain => domain.id)
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status}: ${await response.text()}`);
+    }
+
+    outcome.published = 1;
+    console.log('  ✅ Site published');
+  } catch (error) {
+    outcome.failed = 1;
+    outcome.error = error.message;
+    console.error('  ❌ Site publish failed:', error.message);
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  fetchCollectionSchema,
+  useCollectionSchema,
+  getAllWebflowItems,
+  buildFieldData,
+  diffFieldData,
+  describeChanges,
+  diffItems,
+  applyItemChanges,
+  publishItems,
+  publishSite
+};
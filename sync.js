@@ -1,617 +1,502 @@
-// CoinGecko to Webflow + Google Sheets + Chart Data Sync Script
-const fetch = require('node-fetch');
-const { google } = require('googleapis');
+// CoinGecko to Webflow, Google Sheets and the other destinations, plus chart data
 const fs = require('fs').promises;
 const path = require('path');
+const { config, flagProblems, applyCommandLine } = require('./lib/config');
+const { coingeckoHost, fetchGlobalMarket } = require('./lib/coingecko');
+const { fetchCoinUniverse, fetchExchangeRates, isUnavailable, providerOutages } = require('./lib/providers');
+const { fetchAndSaveChartData, listChartCoinIds, chartFileCoinId } = require('./lib/charts');
+const historyStore = require('./lib/history-store');
+const { httpClient } = require('./lib/http-client');
+const { readChartStatus, planChartBatch } = require('./lib/chart-scheduler');
+const { loadState, saveState } = require('./lib/state');
+const { trackDelisted } = require('./lib/retention');
+const { getFieldMapping, validateAgainstSchema } = require('./lib/field-mapping');
+const { plan, reportPlan } = require('./lib/plan');
+const { checkCoins, allowDeletes } = require('./lib/guardrails');
+const { computeAnalytics, rankSnapshot } = require('./lib/analytics');
+const { writeAggregates } = require('./lib/aggregates');
+const { createDestinations, fetchExisting, syncDestinations } = require('./lib/destinations');
+const {
+  fetchCollectionSchema, useCollectionSchema, getAllWebflowItems, buildFieldData, diffFieldData, describeChanges
+} = require('./lib/webflow');
+const { needsProfiles, enrichProfiles } = require('./lib/profiles');
+const { getAlertRules, evaluateAlerts, deliverAlerts } = require('./lib/alerts');
+const {
+  report, runStep, setStepItems, recordDestination, addProblem, finishRunReport, writeRunReport, notifyRunReport
+} = require('./lib/run-report');
 
-const WEBFLOW_API_TOKEN = process.env.WEBFLOW_API_TOKEN;
-const WEBFLOW_COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
-const GOOGLE_SERVICE_ACCOUNT = process.env.GOOGLE_SERVICE_ACCOUNT;
-const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID;
-const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3/coins/markets';
+// Steps after the destinations are written; a run with all of them (the sync command) also saves the state
+const STEPS = ['alerts', 'cleanup', 'charts'];
 
-// Main function
-async function syncCoinsToWebflow() {
+// Sync the coin universe to the destinations and run the other steps
+// `chartIds` limits the chart step to those coins, refreshed whatever their schedule says.
+async function syncCoins({ destinations: names = config.destinations, steps = STEPS, chartIds = [] } = {}) {
+  const fullRun = STEPS.every(step => steps.includes(step));
+  
   try {
-    console.log('Starting sync...');
+    console.log(config.dryRun ? 'Starting sync (dry run, nothing will be written)...' : 'Starting sync...');
+    
+    // Load the field mapping and alert rules up front so a broken file stops the run before any writes
+    getFieldMapping();
+    getAlertRules();
+    
+    // Unknown destination names stop the run before anything is read
+    const destinations = createDestinations(names);
+    console.log(`Destinations: ${destinations.map(destination => destination.label).join(', ') || 'none'}`);
+    
+    const previousState = await loadState();
+    
+    // Step 1: Fetch the configured coin universe from CoinGecko, or a fallback provider when it is down
+    const universe = await runStep('markets', () => fetchCoinUniverse(), { critical: true });
+    const sources = [...new Set(universe.map(coin => coin.source_provider))];
+    console.log(`Fetched ${universe.length} coins from ${sources.join(', ')} (${config.currencies.join(', ')})`);
+    
+    // Step 2: Read what every destination holds now; one that can't be read sits this run out
+    const runs = await fetchExisting(destinations);
+    // Webflow items back the price check and the delisting bookkeeping when Webflow is active
+    const existingItems = runs.find(run => run.destination.name === 'webflow')?.existing || [];
+    
+    // Step 2b: Quarantine coins with bad or suspicious data; they stay in the set but nothing is written for them
+    const { coins, quarantined } = await checkCoins(universe, existingItems);
+    const quarantinedIds = new Set(quarantined.map(entry => entry.id));
+    plan.quarantined.push(...quarantined);
+    report.quarantined = quarantined;
+    if (quarantined.length > 0) {
+      console.log(`🚧 Quarantined ${quarantined.length} coin(s): ${quarantined.map(entry => entry.id || entry.name).join(', ')}`);
+    }
     
-    // Debug: Fetch collection schema to see field definitions
-    console.log('Fetching collection schema...');
-    const schemaResponse = await fetch(
-      `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-          'accept': 'application/json'
-        }
-      }
-    );
+    // Step 2c: Derived analytics (rank change, dominance, volatility, ...) for the mapped fields and chart files
+    // The market totals are CoinGecko's, so they stay empty while it is down
+    const globalMarket = isUnavailable('coingecko') ? null : await fetchGlobalMarket().catch(error => {
+      console.log(`⚠️  Could not fetch global market data, dominance and totals left empty: ${error.message}`);
+      return null;
+    });
+    await computeAnalytics(coins, {
+      previousRanks: previousState.ranks,
+      totalMarketCap: globalMarket?.totalMarketCap
+    });
     
-    if (schemaResponse.ok) {
-      const schema = await schemaResponse.json();
-      console.log('\n📋 Collection Fields:');
-      schema.fields.forEach(field => {
-        console.log(`  - ${field.displayName}: "${field.slug}" (${field.type})`);
+    // Step 2d: Coin profiles (description, links, categories, ...) for the mapped fields, from the cache
+    // with the missing and stalest fetched again; a coin without one keeps what the destinations hold
+    if (destinations.length > 0 && needsProfiles()) {
+      console.log('\nEnriching coin profiles...');
+      await runStep('profiles', async step => {
+        const { budgetExhausted, ...outcome } = await enrichProfiles(coins, { quarantinedIds });
+        report.profiles = outcome;
+        setStepItems(step, outcome.attempted.length, outcome.failed.length);
       });
-      console.log('');
     }
     
-    // Step 1: Fetch top 50 coins from CoinGecko
-    const coins = await fetchTopCoins();
-    console.log(`Fetched ${coins.length} coins from CoinGecko`);
-    
-    // Step 2: Get existing items from Webflow
-    const existingItems = await getAllWebflowItems();
-    console.log(`Found ${existingItems.length} existing items in Webflow`);
-    
-    // Step 3: Sync data to Webflow (DELETE old, UPDATE existing, CREATE new)
-    const result = await syncItems(coins, existingItems);
-    console.log('Webflow CMS updated successfully');
+    // Coins that left the set are kept (archived) until their grace period runs out
+    const currentIds = new Set(coins.map(coin => coin.id));
+    const outsideIds = new Set([
+      ...(previousState.coinIds || []),
+      ...existingItems.map(item => item.fieldData['coingecko-id']).filter(Boolean),
+      ...(await listChartCoinIds()),
+      ...(await historyStore.listCoins())
+    ].filter(id => !currentIds.has(id)));
+    const { delisted, expiredIds: expired } = trackDelisted(previousState.delisted, outsideIds);
+    // A mass expiry points at a bad coin list; keep everything archived until it is looked at
+    const expiredIds = allowDeletes(expired.size, 'delisted coins') ? expired : new Set();
+    
+    // Step 3: Diff and write every destination; a failure is reported and the others carry on
+    const setChanges = describeSetChanges(coins, previousState.coinIds, existingItems);
+    await syncDestinations(coins, runs, {
+      quarantinedIds,
+      expiredIds,
+      setChanges,
+      runAt: new Date().toISOString()
+    });
+    runs.forEach(recordDestination);
+    
+    // Step 3b: Alert rules, against the stored history before this run's charts add to it
+    // Quarantined coins don't alert, their data is suspect
+    // Without a result the previous alert state is kept as it was
+    if (steps.includes('alerts')) console.log('\nEvaluating alert rules...');
+    const alerting = steps.includes('alerts') && await runStep('alerts', async () => {
+      const evaluated = await evaluateAlerts(
+        coins.filter(coin => !quarantinedIds.has(coin.id)),
+        { previous: previousState.alerts, setChanges }
+      );
+      evaluated.alerts.forEach(alert => console.log(`  🔔 ${alert.message}`));
+      return { alerts: evaluated.alerts, state: await deliverAlerts(evaluated.alerts, evaluated.state) };
+    }) || { alerts: [], state: previousState.alerts };
+    const { alerts } = alerting;
+    plan.alerts.push(...alerts.map(({ rule, coingeckoId, message }) => ({ rule, coingeckoId, message })));
+    report.alerts = alerts.map(({ key, channels, ...alert }) => alert);
+    
+    // Step 4: Clean up old chart files
+    if (steps.includes('cleanup')) {
+      console.log('\nCleaning up old chart files...');
+      await runStep('cleanup', () => cleanupOldChartFiles(coins, expiredIds));
+    }
     
-    // Step 4: Update Google Sheets
-    console.log('\nUpdating Google Sheets...');
-    await updateGoogleSheets(coins);
-    console.log('Google Sheets updated successfully');
+    // Step 5: Fetch chart data for the coins that need it most
+    if (steps.includes('charts')) {
+      await updateCharts(coins, { quarantinedIds, previousState, globalMarket, chartIds });
+    }
     
-    // Step 5: Clean up old chart files
-    console.log('\nCleaning up old chart files...');
-    await cleanupOldChartFiles(coins);
+    // Remember this run's coins so the next run can tell which ones are new, and what is delisted
+    if (fullRun && !config.dryRun) {
+      await saveState({
+        ...previousState,
+        coinIds: coins.map(coin => coin.id),
+        delisted,
+        ranks: rankSnapshot(coins),
+        alerts: alerting.state
+      });
+    }
     
-    // Step 6: Fetch chart data in rotating batches to avoid rate limits
-    // Determine which batch to fetch based on current UTC hour
-    // Runs every 2 hours, 7 batches to cover all 50 coins
-    const currentHour = new Date().getUTCHours(); // 0-23
-    const batchNumber = Math.floor(currentHour / 2) % 7; // 0-6 (7 batches)
-    const batchSize = 7;
-    const startIdx = batchNumber * batchSize;
-    const endIdx = Math.min(startIdx + batchSize, coins.length);
-    const batchCoins = coins.slice(startIdx, endIdx);
+    // Step 6: Log results
+    logResults(runs, quarantined, alerts);
+    if (config.dryRun) {
+      await reportPlan();
+    }
     
-    console.log(`Fetching chart data for batch ${batchNumber + 1}/7 (coins ${startIdx + 1}-${endIdx})...`);
-    console.log(`Coins in this batch: ${batchCoins.map(c => c.symbol).join(', ')}`);
-    await fetchAndSaveChartData(batchCoins);
-    console.log(`Chart data saved for ${batchCoins.length} coins`);
+    // The good coins are written either way, but this many bad ones needs a look
+    if (quarantined.length > config.guardrails.maxQuarantined) {
+      addProblem('quarantine', `${quarantined.length} coins quarantined, more than MAX_QUARANTINED (${config.guardrails.maxQuarantined})`, { fatal: true });
+    }
     
-    // Step 7: Log results
-    logResults(result);
+    // Step 7: Failure policy, run report and the optional notification
+    const status = await closeRunReport();
+    if (status === 'failed') {
+      const error = new Error(`Run failed: ${report.problems.filter(problem => problem.fatal).map(problem => `${problem.step}: ${problem.message}`).join('; ')}`);
+      error.code = 'RUN_FAILED';
+      throw error;
+    }
     
-    return result;
+    return report;
   } catch (error) {
     console.error('Error during sync:', error.message);
+    // A crash still leaves a report behind
+    if (!report.finishedAt) await closeRunReport(error).catch(reportError => console.error('  ⚠️  Could not write the run report:', reportError.message));
     throw error;
   }
 }
 
-// Fetch top 50 coins from CoinGecko
-async function fetchTopCoins() {
-  const params = new URLSearchParams({
-    vs_currency: 'usd',
-    order: 'market_cap_desc',
-    per_page: 50,
-    page: 1,
-    sparkline: false,
-    price_change_percentage: '24h,7d,30d,1y'
-  });
+// Fetch chart data for the coins that need it most, then rebuild the index and market summary
+// Missing charts first, then coins new to the set, then the stalest, within the request budget.
+// Quarantined coins keep their current chart.
+async function updateCharts(coins, { quarantinedIds, previousState, globalMarket, chartIds = [] }) {
+  console.log('\nPlanning chart updates...');
+  const candidates = coins.filter(coin => !quarantinedIds.has(coin.id));
+  const chartCoins = chartIds.length > 0 ? candidates.filter(coin => chartIds.includes(coin.id)) : candidates;
+  const forceIds = [...config.charts.forceIds, ...chartIds];
+  const chartStatus = await readChartStatus(chartCoins);
   
-  const response = await fetch(`${COINGECKO_API_URL}?${params}`);
+  // Converted charts need today's rates (fetch mode quotes every currency directly);
+  // fetched before planning so the request comes out of the budget first
+  const exchangeRates = !config.dryRun && config.currencies.length > 1 && config.charts.currencyMode === 'convert'
+    ? await fetchExchangeRates()
+    : null;
+  const remainingBudget = httpClient.remaining(coingeckoHost());
+  const batch = planChartBatch(chartCoins, {
+    status: chartStatus,
+    previousIds: previousState.coinIds,
+    forceIds,
+    budget: config.charts.requestBudget ? Math.min(config.charts.requestBudget, remainingBudget) : remainingBudget
+  });
   
-  if (!response.ok) {
-    throw new Error(`CoinGecko API error: ${response.status}`);
+  const unknownForced = forceIds.filter(id => !candidates.some(coin => coin.id === id));
+  if (unknownForced.length > 0) {
+    console.log(`  ⚠️  Not in the current set (or quarantined), skipping forced refresh: ${unknownForced.join(', ')}`);
   }
   
-  return await response.json();
-}
-
-// Get all existing items from Webflow
-async function getAllWebflowItems() {
-  const items = [];
-  let offset = 0;
-  const limit = 100;
-  
-  while (true) {
-    const response = await fetch(
-      `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}/items?limit=${limit}&offset=${offset}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-          'accept': 'application/json'
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch Webflow items: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    items.push(...data.items);
-    
-    // Debug: Show field names from first item
-    if (offset === 0 && data.items.length > 0) {
-      console.log('\n📋 Available fields in Webflow:');
-      console.log(Object.keys(data.items[0].fieldData).join(', '));
-      console.log('');
-    }
-    
-    if (data.items.length < limit) {
-      break;
-    }
+  report.charts.planned = batch.length;
+  console.log(`Fetching chart data for ${batch.length}/${chartCoins.length} coins...`);
+  console.log(`Coins in this batch: ${batch.map(entry => `${entry.coin.symbol} (${entry.reason})`).join(', ')}`);
+  if (config.dryRun) {
+    batch.forEach(({ coin }) => {
+      const target = chartStatus.get(coin.id)?.lastUpdated ? plan.charts.updated : plan.charts.added;
+      target.push(coin.id);
+    });
+  } else {
+    await runStep('charts', async step => {
+      const { attempted, saved, failed } = await fetchAndSaveChartData(batch.map(entry => entry.coin), { exchangeRates });
+      Object.assign(report.charts, { attempted, saved, failed });
+      setStepItems(step, attempted.length, failed.length);
+      console.log(`Chart data saved for ${saved.length}/${attempted.length} coins`);
+    });
     
-    offset += limit;
+    // Step 5b: Index and market summary for the listing page, built after the charts so sparklines are fresh
+    await runStep('aggregates', async () => {
+      const aggregates = await writeAggregates(coins, globalMarket, { quarantinedIds });
+      console.log(`Wrote data/index.json (${aggregates.coins} coins) and data/market.json`);
+    });
   }
-  
-  return items;
 }
 
-// Sync items to Webflow - DELETE old, UPDATE existing, CREATE new
-async function syncItems(coins, existingItems) {
-  const results = { updated: 0, created: 0, deleted: 0, failed: 0 };
-  
-  // Get current top 50 coin IDs
-  const currentTop50Ids = new Set(coins.map(coin => coin.id));
+// Apply the failure policy, write the report and notify; returns the run status
+async function closeRunReport(error = null) {
+  // A run on a fallback provider is degraded, whatever else happened
+  report.providers.outages = providerOutages();
+  report.providers.outages.forEach(outage => addProblem('providers', `${outage.label} unavailable: ${outage.error}`));
+  const status = finishRunReport(error);
+  console.log(`\n${{ ok: '✅', degraded: '⚠️ ', failed: '❌' }[status]} Run ${status}`);
+  report.problems.forEach(problem => console.log(`  - ${problem.step}: ${problem.message}${problem.fatal ? ' (fatal)' : ''}`));
+  await writeRunReport();
+  await notifyRunReport();
+  return status;
+}
+
+// Clean up chart files and stored history for coins no longer in the set
+// Delisted coins keep their chart data until their grace period is over (expiredIds)
+async function cleanupOldChartFiles(currentCoins, expiredIds = new Set()) {
+  const dataDir = config.charts.dir;
+  const currentIds = new Set(currentCoins.map(c => c.id));
   
-  console.log(`\nCurrent top 50 coins:`, Array.from(currentTop50Ids).join(', '));
+  // Create directory if it doesn't exist
+  if (!config.dryRun) await fs.mkdir(dataDir, { recursive: true });
   
-  // Step 1: DELETE items that are NOT in current top 50
-  const itemsToDelete = existingItems.filter(item => 
-    !currentTop50Ids.has(item.fieldData['coingecko-id'])
-  );
+  // Read existing files
+  const files = await listChartFiles(dataDir);
+  let deletedCount = 0;
   
-  if (itemsToDelete.length > 0) {
-    console.log(`\n🗑️  Deleting ${itemsToDelete.length} coins that fell out of top 50...`);
-    for (const item of itemsToDelete) {
-      try {
-        const response = await fetch(
-          `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}/items/${item.id}`,
-          {
-            method: 'DELETE',
-            headers: {
-              'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-              'accept': 'application/json'
-            }
-          }
-        );
-        
-        if (response.ok) {
-          console.log(`  ✅ Deleted: ${item.fieldData.name || item.id}`);
-          results.deleted++;
-        } else {
-          console.error(`  ❌ Failed to delete ${item.fieldData.name}: ${response.status}`);
-          results.failed++;
-        }
-        
-        // Rate limit protection
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error(`  ❌ Error deleting ${item.fieldData.name}:`, error.message);
-        results.failed++;
-      }
+  for (const file of files) {
+    const coinId = chartFileCoinId(file);
+    if (coinId && !currentIds.has(coinId) && expiredIds.has(coinId)) {
+      plan.charts.removed.push(file);
+      if (!config.dryRun) await fs.unlink(path.join(dataDir, file));
+      console.log(`  🗑️  Deleted chart: ${file}`);
+      deletedCount++;
     }
-  } else {
-    console.log('\n✅ No coins to delete (all existing coins still in top 50)');
   }
   
-  // Step 2: Get remaining items after deletion
-  const remainingItems = existingItems.filter(item => 
-    currentTop50Ids.has(item.fieldData['coingecko-id'])
-  );
-  
-  // Create a map of existing items by coingecko-id for easy lookup
-  const existingItemsMap = new Map();
-  remainingItems.forEach(item => {
-    const coingeckoId = item.fieldData['coingecko-id'];
-    if (coingeckoId) {
-      existingItemsMap.set(coingeckoId, item);
-    }
-  });
-  
-  console.log(`\nSyncing ${coins.length} top 50 coins to Webflow...\n`);
-  
-  // Step 3: UPDATE existing coins or CREATE new ones
-  for (let i = 0; i < coins.length; i++) {
-    const coin = coins[i];
-    const coingeckoId = coin.id;
-    const existingItem = existingItemsMap.get(coingeckoId);
-    
-    try {
-      const fieldData = {
-        'name': coin.name || '',
-        'symbol': coin.symbol?.toUpperCase() || '',
-        'logo-url': coin.image || '',
-        'price-2': coin.current_price?.toString() || '0',
-        'change-24h-2': coin.price_change_percentage_24h?.toString() || '0',
-        'change-7d-2': coin.price_change_percentage_7d_in_currency?.toString() || '0',
-        'change-30d-2': coin.price_change_percentage_30d_in_currency?.toString() || '0',
-        'change-1y-2': coin.price_change_percentage_1y_in_currency?.toString() || '0',
-        'market-cap-2': coin.market_cap?.toString() || '0',
-        'volume-24h-2': coin.total_volume?.toString() || '0',
-        'circulating-supply-2': coin.circulating_supply?.toString() || '0',
-        'total-supply-2': coin.total_supply?.toString() || '0',
-        'ath-usd-4': coin.ath?.toString() || '0',
-        'atl-usd-4': coin.atl?.toString() || '0',
-        'coingecko-id': coingeckoId,
-        'last-updated': new Date().toISOString()
-      };
-      
-      if (existingItem) {
-        // UPDATE existing coin
-        console.log(`[${i + 1}/${coins.length}] Updating: ${coin.name}`);
-        
-        const response = await fetch(
-          `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}/items/${existingItem.id}`,
-          {
-            method: 'PATCH',
-            headers: {
-              'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-              'Content-Type': 'application/json',
-              'accept': 'application/json'
-            },
-            body: JSON.stringify({
-              fieldData,
-              isArchived: false,
-              isDraft: false
-            })
-          }
-        );
-        
-        if (response.ok) {
-          results.updated++;
-        } else {
-          const errorText = await response.text();
-          console.error(`  ❌ Failed (${response.status}): ${errorText}`);
-          results.failed++;
-        }
-      } else {
-        // CREATE new coin (entered or returned to top 50)
-        console.log(`[${i + 1}/${coins.length}] Creating: ${coin.name} (NEW or RETURNED to top 50)`);
-        
-        const response = await fetch(
-          `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}/items`,
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-              'Content-Type': 'application/json',
-              'accept': 'application/json'
-            },
-            body: JSON.stringify({
-              fieldData,
-              isArchived: false,
-              isDraft: false
-            })
-          }
-        );
-        
-        if (response.ok) {
-          results.created++;
-        } else {
-          const errorText = await response.text();
-          console.error(`  ❌ Failed (${response.status}): ${errorText}`);
-          results.failed++;
-        }
-      }
-      
-      // Rate limit protection
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-    } catch (error) {
-      console.error(`[${i + 1}/${coins.length}] Error processing ${coin.name}:`, error.message);
-      results.failed++;
+  for (const coinId of await historyStore.listCoins()) {
+    if (!currentIds.has(coinId) && expiredIds.has(coinId)) {
+      if (!config.dryRun) await historyStore.removeCoin(coinId);
+      console.log(`  🗑️  Deleted history: ${coinId}`);
     }
   }
   
-  return results;
+  if (deletedCount === 0) {
+    console.log('  ✅ No old chart files to clean up');
+  } else {
+    console.log(`  ✅ Cleaned up ${deletedCount} chart file(s)`);
+  }
 }
 
-// Clean up chart files for coins no longer in top 50
-async function cleanupOldChartFiles(currentCoins) {
-  const dataDir = path.join(process.cwd(), 'data', 'charts');
-  const currentIds = new Set(currentCoins.map(c => c.id));
-  
+async function listChartFiles(dataDir) {
   try {
-    // Create directory if it doesn't exist
-    await fs.mkdir(dataDir, { recursive: true });
-    
-    // Read existing files
-    const files = await fs.readdir(dataDir);
-    let deletedCount = 0;
-    
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue;
-      
-      const coinId = file.replace('.json', '');
-      if (!currentIds.has(coinId)) {
-        await fs.unlink(path.join(dataDir, file));
-        console.log(`  🗑️  Deleted chart: ${file}`);
-        deletedCount++;
-      }
-    }
-    
-    if (deletedCount === 0) {
-      console.log('  ✅ No old chart files to clean up');
-    } else {
-      console.log(`  ✅ Cleaned up ${deletedCount} chart file(s)`);
-    }
-    
+    return await fs.readdir(dataDir);
   } catch (error) {
-    console.error('  ⚠️  Cleanup error:', error.message);
+    if (error.code === 'ENOENT') return [];
+    throw error;
   }
 }
 
-// Fetch and save chart data for coins
-async function fetchAndSaveChartData(coins) {
-  // Create data directory if it doesn't exist
-  const dataDir = path.join(process.cwd(), 'data', 'charts');
-  try {
-    await fs.mkdir(dataDir, { recursive: true });
-  } catch (error) {
-    console.error('Error creating data directory:', error.message);
-  }
+// Coins that entered or left the set since the previous run (nothing on the first run)
+function describeSetChanges(coins, previousIds, existingItems) {
+  if (!previousIds) return [];
   
-  for (let i = 0; i < coins.length; i++) {
-    const coin = coins[i];
-    console.log(`[${i + 1}/${coins.length}] Fetching charts for ${coin.name}...`);
-    
-    try {
-      // Fetch 90 days of data (better resolution for recent data)
-      const response = await fetch(
-        `https://api.coingecko.com/api/v3/coins/${coin.id}/market_chart?vs_currency=usd&days=90`
-      );
-      
-      if (!response.ok) {
-        console.error(`  ❌ Failed to fetch chart data: ${response.status}`);
-        continue;
-      }
-      
-      const chartData = await response.json();
-      
-      // Get current time for timestamp normalization
-      const now = Date.now();
-      
-      // Process data with ALL points (no downsampling)
-      const prices24h = getRecentData(chartData.prices, 24, now);
-      const prices7d = getRecentData(chartData.prices, 168, now);
-      const prices30d = getRecentData(chartData.prices, 720, now);
-      const prices1y = getRecentData(chartData.prices, 365, now, true);
-
-      const marketCaps24h = getRecentData(chartData.market_caps, 24, now);
-      const marketCaps7d = getRecentData(chartData.market_caps, 168, now);
-      const marketCaps30d = getRecentData(chartData.market_caps, 720, now);
-      const marketCaps1y = getRecentData(chartData.market_caps, 365, now, true);
-      
-      const volumes24h = getRecentData(chartData.total_volumes, 24, now);
-      const volumes7d = getRecentData(chartData.total_volumes, 168, now);
-      const volumes30d = getRecentData(chartData.total_volumes, 720, now);
-      const volumes1y = getRecentData(chartData.total_volumes, 365, now, true);
+  const previous = new Set(previousIds);
+  const currentIds = new Set(coins.map(coin => coin.id));
+  const names = new Map(existingItems.map(item => [item.fieldData['coingecko-id'], item.fieldData.name]));
+  
+  return [
+    ...coins.filter(coin => !previous.has(coin.id)).map(coin => ({ id: coin.id, name: coin.name, change: 'entered' })),
+    ...previousIds.filter(id => !currentIds.has(id)).map(id => ({ id, name: names.get(id) || null, change: 'left' }))
+  ];
+}
 
-      // Process and save ALL data
-      const processed = {
-          coingecko_id: coin.id,
-          name: coin.name,
-          symbol: coin.symbol.toUpperCase(),
-          charts: {
-              '24h': {
-                  prices: prices24h,
-                  prices_percent_change: calculatePercentageChange(prices24h),
-                  market_caps: marketCaps24h,
-                  market_caps_percent_change: calculatePercentageChange(marketCaps24h),
-                  volumes: volumes24h,
-                  volumes_percent_change: calculatePercentageChange(volumes24h),
-                  interval: 'hourly',
-                  points: 24
-              },
-              '7d': {
-                  prices: prices7d,
-                  prices_percent_change: calculatePercentageChange(prices7d),
-                  market_caps: marketCaps7d,
-                  market_caps_percent_change: calculatePercentageChange(marketCaps7d),
-                  volumes: volumes7d,
-                  volumes_percent_change: calculatePercentageChange(volumes7d),
-                  interval: 'hourly',
-                  points: 168
-              },
-              '30d': {
-                  prices: prices30d,
-                  prices_percent_change: calculatePercentageChange(prices30d),
-                  market_caps: marketCaps30d,
-                  market_caps_percent_change: calculatePercentageChange(marketCaps30d),
-                  volumes: volumes30d,
-                  volumes_percent_change: calculatePercentageChange(volumes30d),
-                  interval: 'hourly',
-                  points: 720
-              },
-              '1y': {
-                  prices: prices1y,
-                  prices_percent_change: calculatePercentageChange(prices1y),
-                  market_caps: marketCaps1y,
-                  market_caps_percent_change: calculatePercentageChange(marketCaps1y),
-                  volumes: volumes1y,
-                  volumes_percent_change: calculatePercentageChange(volumes1y),
-                  interval: 'daily',
-                  points: 365
-              }
-          },
-          ath: coin.ath,
-          atl: coin.atl,
-          last_updated: new Date().toISOString()
-      };
-      
-      // Save to file
-      const filename = path.join(dataDir, `${coin.id}.json`);
-      await fs.writeFile(filename, JSON.stringify(processed, null, 2));
-      console.log(`  ✅ Saved FULL chart data (${prices24h.length}/${prices7d.length}/${prices30d.length}/${prices1y.length} points)`);
-      
-      // Delay to respect rate limits
-      // CoinGecko free tier is very strict - using 10 seconds to be safe
-      await new Promise(resolve => setTimeout(resolve, 10000)); // 10 seconds
-      
-    } catch (error) {
-      console.error(`  ❌ Error: ${error.message}`);
+// Log results, one section per destination
+function logResults(runs, quarantined = [], alerts = []) {
+  console.log('\n' + '='.repeat(50));
+  console.log('SYNC RESULTS');
+  console.log('='.repeat(50));
+  for (const { destination, results, error, skipped } of runs) {
+    console.log(`\n${destination.label}`);
+    if (skipped) {
+      console.log('⏭️  Not configured, skipped');
+    } else if (error) {
+      console.log(`❌ Failed: ${error.message}`);
+    } else {
+      destination.report(results).forEach(line => console.log(line));
     }
   }
+  if (quarantined.length > 0) {
+    console.log(`\n🚧 Quarantined coins: ${quarantined.length}`);
+  }
+  for (const { id, name, reasons } of quarantined) {
+    console.log(`  🚧 ${name || id || 'unknown coin'}: ${reasons.join('; ')}`);
+  }
+  if (alerts.length > 0) {
+    console.log(`\n🔔 Alerts: ${alerts.length}`);
+  }
+  for (const alert of alerts) {
+    console.log(`  🔔 ${alert.message}`);
+  }
+  console.log('='.repeat(50));
 }
 
-// Get recent data with normalized timestamps (no downsampling)
-function getRecentData(data, pointsCount, baseTime, isOneYear = false) {
-  if (!data || data.length === 0) return [];
-  
-  // Take the most recent data points
-  const recentData = data.slice(-pointsCount);
-  
-  if (recentData.length === 0) return [];
+// Print the Webflow collection fields and check the field mapping against them
+// Returns the mapping problems
+async function printSchema() {
+  const schema = await fetchCollectionSchema();
+  if (!schema) {
+    const error = new Error('Could not fetch the Webflow collection schema (check WEBFLOW_API_TOKEN and WEBFLOW_COLLECTION_ID)');
+    error.code = 'SCHEMA_UNAVAILABLE';
+    throw error;
+  }
   
-  // Normalize timestamps to be relative to current time
-  return normalizeTimestamps(recentData, pointsCount, baseTime, isOneYear);
-}
-
-// Normalize timestamps to be consistent across all batches
-function normalizeTimestamps(data, pointsCount, baseTime, isOneYear = false) {
-  if (!data || data.length === 0) return [];
+  console.log(`\n📋 Collection fields (${schema.displayName || config.webflow.collectionId}):`);
+  schema.fields.forEach(field => {
+    console.log(`  - ${field.displayName}: "${field.slug}" (${field.type})`);
+  });
   
-  if (isOneYear) {
-    // For 1-year data: start from exactly 1 year ago, use daily intervals
-    const oneYearAgo = baseTime - (365 * 24 * 60 * 60 * 1000);
-    const interval = (365 * 24 * 60 * 60 * 1000) / data.length;
-    
-    return data.map(([_, value], index) => {
-      const timestamp = oneYearAgo + (index * interval);
-      return [timestamp, value];
-    });
+  const problems = validateAgainstSchema(schema);
+  if (problems.length === 0) {
+    console.log('\n✅ The field mapping matches the collection');
   } else {
-    // For other ranges: calculate hoursBack based on pointsCount
-    let hoursBack;
-    if (pointsCount === 24) hoursBack = 24;
-    else if (pointsCount === 168) hoursBack = 168;
-    else if (pointsCount === 720) hoursBack = 720;
-    else hoursBack = pointsCount;
-    
-    const startTime = baseTime - (hoursBack * 60 * 60 * 1000);
-    const interval = (hoursBack * 60 * 60 * 1000) / data.length;
-    
-    return data.map(([_, value], index) => {
-      const timestamp = startTime + (index * interval);
-      return [timestamp, value];
-    });
+    console.log('\n❌ The field mapping doesn\'t match the collection:');
+    problems.forEach(problem => console.log(`  - ${problem}`));
   }
+  return problems;
 }
 
-// Downsample data to target number of points
-function downsampleData(data, targetPoints) {
-  if (!data || data.length === 0) return [];
-  if (data.length <= targetPoints) return data;
+// Compare the Webflow items with CoinGecko without writing anything
+// Returns the coins without an item, the live items of coins outside the set and the items whose
+// values differ (within WEBFLOW_NUMERIC_TOLERANCE, fields that change every run aside)
+async function verifyWebflow() {
+  const coins = await fetchCoinUniverse({ snapshot: false });
+  if (needsProfiles()) await enrichProfiles(coins, { refresh: false });
+  await useCollectionSchema(await fetchCollectionSchema());
+  const items = await getAllWebflowItems();
+  console.log(`Comparing ${items.length} Webflow items with ${coins.length} coins from CoinGecko...`);
   
-  const step = Math.floor(data.length / targetPoints);
-  const result = [];
+  const itemsById = new Map(items.map(item => [item.fieldData['coingecko-id'], item]));
+  const currentIds = new Set(coins.map(coin => coin.id));
+  const result = {
+    missing: coins.filter(coin => !itemsById.has(coin.id)).map(coin => coin.id),
+    extra: items
+      .filter(item => !item.isArchived && !currentIds.has(item.fieldData['coingecko-id']))
+      .map(item => item.fieldData['coingecko-id'] || item.fieldData.name || item.id),
+    stale: []
+  };
   
-  for (let i = 0; i < data.length; i += step) {
-    if (result.length < targetPoints) {
-      result.push(data[i]);
+  for (const coin of coins) {
+    const item = itemsById.get(coin.id);
+    if (!item) continue;
+    const fieldData = buildFieldData(coin);
+    const changed = diffFieldData(item.fieldData, fieldData);
+    if (changed.length > 0) {
+      result.stale.push({ coingeckoId: coin.id, changes: describeChanges(item.fieldData, fieldData, changed) });
     }
   }
   
-  // Ensure we always include the last data point
-  if (result.length < targetPoints && data.length > 0) {
-    result.push(data[data.length - 1]);
+  console.log(`\n❓ Missing from Webflow: ${result.missing.join(', ') || 'none'}`);
+  console.log(`📦 In Webflow but outside the set: ${result.extra.join(', ') || 'none'}`);
+  console.log(`🕰️  Out of date: ${result.stale.length}`);
+  for (const { coingeckoId, changes } of result.stale) {
+    console.log(`  - ${coingeckoId}`);
+    for (const [slug, change] of Object.entries(changes)) {
+      console.log(`      ${slug}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+    }
   }
-  
   return result;
 }
 
-// Calculate percentage change from baseline (first value)
-function calculatePercentageChange(data) {
-  if (!data || data.length === 0) return [];
-  
-  const baseline = data[0][1]; // First value
-  if (!baseline || baseline === 0) return data.map(([ts, _]) => [ts, 0]);
-  
-  return data.map(([timestamp, value]) => {
-    const percentChange = ((value - baseline) / baseline) * 100;
-    return [timestamp, parseFloat(percentChange.toFixed(2))];
-  });
+// Subcommands; each resolves with a process exit code
+const COMMANDS = {
+  sync: {
+    usage: 'sync',
+    description: 'Every step: all destinations, alerts, cleanup, charts and the index (the default)',
+    run: () => syncCoins().then(() => 0)
+  },
+  webflow: {
+    usage: 'webflow',
+    description: 'Sync the Webflow collection only',
+    run: () => syncCoins({ destinations: ['webflow'], steps: [] }).then(() => 0)
+  },
+  sheets: {
+    usage: 'sheets',
+    description: 'Sync the Google Sheet only',
+    run: () => syncCoins({ destinations: ['sheets'], steps: [] }).then(() => 0)
+  },
+  charts: {
+    usage: 'charts [ids...]',
+    description: 'Fetch chart data, for the given coins or the scheduled batch, and rebuild the index',
+    run: ids => syncCoins({ destinations: [], steps: ['charts'], chartIds: ids }).then(() => 0)
+  },
+  cleanup: {
+    usage: 'cleanup',
+    description: 'Remove the chart files and history of coins whose grace period is over',
+    run: () => syncCoins({ destinations: [], steps: ['cleanup'] }).then(() => 0)
+  },
+  schema: {
+    usage: 'schema',
+    description: 'Print the Webflow collection fields and check the field mapping against them',
+    run: () => printSchema().then(problems => problems.length > 0 ? 1 : 0)
+  },
+  verify: {
+    usage: 'verify',
+    description: 'Compare Webflow with CoinGecko without writing; fails when items are missing or left over',
+    run: () => verifyWebflow().then(({ missing, extra }) => missing.length + extra.length > 0 ? 1 : 0)
+  }
+};
+
+function printUsage() {
+  console.log('Usage: node sync.js [command] [args] [--config=<file>] [--top=<n>] [--currencies=<list>] [--dry-run]\n');
+  console.log('Commands:');
+  for (const { usage, description } of Object.values(COMMANDS)) {
+    console.log(`  ${usage.padEnd(16)} ${description}`);
+  }
+  console.log('\nFlags:');
+  console.log('  --config=<file>      Settings file (JSON or .js) keyed by environment variable name');
+  console.log('  --top=<n>            Number of top coins by market cap (UNIVERSE_TOP_N)');
+  console.log('  --currencies=<list>  Comma-separated quote currencies, the first is primary (QUOTE_CURRENCIES)');
+  console.log('  --dry-run            Plan the changes without writing anything (DRY_RUN)');
+  console.log('  --plan-output=<file> Where a dry run writes its plan as JSON (PLAN_OUTPUT)');
 }
 
-// Update Google Sheets with coin data
-async function updateGoogleSheets(coins) {
-  if (!GOOGLE_SERVICE_ACCOUNT || !GOOGLE_SHEET_ID) {
-    console.log('⚠️  Google Sheets not configured, skipping...');
-    return;
+// Run the command in argv with its flags applied to the config; resolves with the exit code
+// Flag values have to be given as --name=<value>, anything else fails before a command runs
+async function main(argv = process.argv.slice(2)) {
+  const problems = flagProblems(argv);
+  if (problems.length > 0) {
+    console.error(`${problems.join('\n')}\n`);
+    printUsage();
+    return 1;
+  }
+
+  const [name = 'sync', ...args] = argv.filter(arg => !arg.startsWith('--'));
+  if (name === 'help' || argv.includes('--help')) {
+    printUsage();
+    return 0;
   }
   
-  try {
-    const credentials = JSON.parse(GOOGLE_SERVICE_ACCOUNT);
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets']
-    });
-    
-    const sheets = google.sheets({ version: 'v4', auth });
-    
-    const headers = [
-      'coingecko_id', 'name', 'symbol', 'logo_url', 'price', 
-      'change_24h', 'change_7d', 'change_30d', 'market_cap', 
-      'volume_24h', 'circulating_supply', 'total_supply',
-      'ath_usd', 'atl_usd', 'last_updated'
-    ];
-    
-    const rows = coins.map(coin => [
-      coin.id,
-      coin.name,
-      coin.symbol?.toUpperCase(),
-      coin.image,
-      coin.current_price,
-      coin.price_change_percentage_24h,
-      coin.price_change_percentage_7d_in_currency,
-      coin.price_change_percentage_30d_in_currency,
-      coin.market_cap,
-      coin.total_volume,
-      coin.circulating_supply,
-      coin.total_supply,
-      coin.ath,
-      coin.atl,
-      new Date().toISOString()
-    ]);
-    
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: 'Sheet1!A:Z'
-    });
-    
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: GOOGLE_SHEET_ID,
-      range: 'Sheet1!A1',
-      valueInputOption: 'RAW',
-      resource: {
-        values: [headers, ...rows]
-      }
-    });
-    
-    console.log(`  ✅ Updated ${rows.length} rows`);
-    
-  } catch (error) {
-    console.error('  ❌ Failed:', error.message);
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command "${name}"\n`);
+    printUsage();
+    return 1;
   }
+
+  applyCommandLine(argv);
+  return command.run(args);
 }
 
-// Log results
-function logResults(results) {
-  console.log('\n' + '='.repeat(50));
-  console.log('SYNC RESULTS');
-  console.log('='.repeat(50));
-  console.log(`✅ Updated: ${results.updated}`);
-  console.log(`✨ Created: ${results.created}`);
-  console.log(`🗑️  Deleted: ${results.deleted}`);
-  console.log(`❌ Failed: ${results.failed}`);
-  console.log(`📊 Total processed: ${results.updated + results.created + results.deleted + results.failed}`);
-  console.log('='.repeat(50));
+if (require.main === module) {
+  main()
+    .then(code => {
+      if (code === 0) console.log('\n🎉 Completed successfully');
+      process.exit(code);
+    })
+    .catch(error => {
+      console.error('\n💥 Failed:', error);
+      process.exit(1);
+    });
 }
 
-// Run the sync
-syncCoinsToWebflow()
-  .then(() => {
-    console.log('\n🎉 Sync completed successfully');
-    process.exit(0);
-  })
-  .catch(error => {
-    console.error('\n💥 Sync failed:', error);
-    process.exit(1);
-  });
+module.exports = {
+  STEPS,
+  COMMANDS,
+  main,
+  syncCoins,
+  updateCharts,
+  cleanupOldChartFiles,
+  describeSetChanges,
+  printSchema,
+  verifyWebflow
+};
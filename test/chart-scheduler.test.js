@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchEnvironment } = require('./helpers/environment');
+
+const environment = useScratchEnvironment({ QUOTE_CURRENCIES: 'usd,eur', CHART_CURRENCY_MODE: 'fetch' });
+const { DAY_MS } = require('../lib/config');
+const historyStore = require('../lib/history-store');
+const { readChartStatus, planChartBatch } = require('../lib/chart-scheduler');
+
+test.after(environment.cleanup);
+
+const now = Date.UTC(2026, 9, 1);
+const coin = id => ({ id, name: id });
+
+// Stores a day of hourly history ending now and, when `dailyEnd` is given, daily history ending then
+async function storeHistory(coinId, currency, dailyEnd) {
+  await historyStore.mergeSeries(coinId, 'hourly', [[now - DAY_MS, 1, 1, 1], [now, 1, 1, 1]], currency);
+  if (dailyEnd !== undefined) {
+    await historyStore.mergeSeries(coinId, 'daily', [[dailyEnd - DAY_MS, 1, 1, 1], [dailyEnd, 1, 1, 1]], currency);
+  }
+}
+
+test('the cost counts each currency\'s daily fetch, not just whether hourly history exists', async () => {
+  // Bitcoin's EUR daily series is missing, ethereum's end well before their hourly history
+  await storeHistory('bitcoin', 'usd', now - DAY_MS);
+  await storeHistory('bitcoin', 'eur');
+  await storeHistory('ethereum', 'usd', now - 10 * DAY_MS);
+  await storeHistory('ethereum', 'eur', now - 10 * DAY_MS);
+  await storeHistory('solana', 'usd', now - DAY_MS);
+  await storeHistory('solana', 'eur', now - DAY_MS);
+
+  const coins = ['bitcoin', 'ethereum', 'solana', 'new-coin'].map(coin);
+  const status = await readChartStatus(coins, now);
+  const batch = planChartBatch(coins, { status });
+
+  assert.deepEqual(batch.map(entry => [entry.coin.id, entry.cost]), [
+    ['bitcoin', 3], ['ethereum', 4], ['solana', 2], ['new-coin', 4]
+  ]);
+
+  // Bitcoin and ethereum leave one request, which isn't enough for solana
+  const limited = planChartBatch(coins, { status, budget: 8 });
+  assert.deepEqual(limited.map(entry => entry.coin.id), ['bitcoin', 'ethereum']);
+});
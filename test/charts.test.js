@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi, loadFixture } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment();
+const { config, HOUR_MS } = require('../lib/config');
+const { httpClient } = require('../lib/http-client');
+const { fetchCoinUniverse } = require('../lib/coingecko');
+const historyStore = require('../lib/history-store');
+const {
+  fetchAndSaveChartData, getRecentData, alignToGrid, calculatePercentageChange, chartFileCoinId
+} = require('../lib/charts');
+
+test.after(environment.cleanup);
+
+const recorded = loadFixture('market-chart/bitcoin-7d.json').prices;
+
+test('getRecentData keeps the window ending at baseTime, edges included', () => {
+  const data = [[1000, 1], [2000, 2], [3000, 3], [4000, 4]];
+
+  assert.deepEqual(getRecentData(data, 2000, 4000), [[2000, 2], [3000, 3], [4000, 4]]);
+  assert.deepEqual(getRecentData(data, 0, 3000), [[3000, 3]]);
+  // Points after baseTime are left out
+  assert.deepEqual(getRecentData(data, 1500, 2500), [[1000, 1], [2000, 2]]);
+  assert.deepEqual(getRecentData(data, Infinity, 4000), data);
+  assert.deepEqual(getRecentData(data, 1000, 500), []);
+});
+
+test('getRecentData handles missing and empty series', () => {
+  assert.deepEqual(getRecentData([], 1000, 1000), []);
+  assert.deepEqual(getRecentData(null, 1000, 1000), []);
+  assert.deepEqual(getRecentData(undefined, 1000, 1000), []);
+});
+
+test('getRecentData on a recorded series keeps its own timestamps', () => {
+  const end = recorded[recorded.length - 1][0];
+  const day = getRecentData(recorded, 24 * HOUR_MS, end);
+
+  // Hourly samples, so both window edges hold a point
+  assert.equal(day.length, 25);
+  assert.deepEqual(day[day.length - 1], recorded[recorded.length - 1]);
+  day.forEach(([timestamp]) => assert.ok(timestamp >= end - 24 * HOUR_MS));
+});
+
+test('alignToGrid resamples onto the grid and marks points interpolated across gaps', () => {
+  const data = [[0, 10], [HOUR_MS, 20], [4 * HOUR_MS, 50]];
+  const { data: aligned, filled } = alignToGrid(data, HOUR_MS);
+
+  assert.deepEqual(aligned, [[0, 10], [HOUR_MS, 20], [2 * HOUR_MS, 30], [3 * HOUR_MS, 40], [4 * HOUR_MS, 50]]);
+  assert.deepEqual(filled, [2 * HOUR_MS, 3 * HOUR_MS]);
+});
+
+test('alignToGrid snaps off-grid timestamps and skips missing values', () => {
+  const data = [[HOUR_MS / 4, 1], [HOUR_MS + HOUR_MS / 4, null], [2 * HOUR_MS + HOUR_MS / 4, 3]];
+  const { data: aligned, filled } = alignToGrid(data, HOUR_MS);
+
+  assert.deepEqual(aligned.map(([timestamp]) => timestamp), [HOUR_MS, 2 * HOUR_MS]);
+  assert.equal(aligned[0][1], 1.75);
+  // The null sample doesn't count, so the point between the real ones is filled
+  assert.deepEqual(filled, [HOUR_MS]);
+});
+
+test('alignToGrid handles empty, all-missing and single-point series', () => {
+  assert.deepEqual(alignToGrid([], HOUR_MS), { data: [], filled: [] });
+  assert.deepEqual(alignToGrid(null, HOUR_MS), { data: [], filled: [] });
+  assert.deepEqual(alignToGrid([[0, null], [HOUR_MS, undefined]], HOUR_MS), { data: [], filled: [] });
+  assert.deepEqual(alignToGrid([[HOUR_MS, 5]], HOUR_MS), { data: [[HOUR_MS, 5]], filled: [] });
+  assert.deepEqual(alignToGrid([[HOUR_MS / 2, 5]], HOUR_MS), { data: [], filled: [] });
+});
+
+test('alignToGrid keeps a recorded hourly series at one point per hour', () => {
+  const { data: aligned, filled } = alignToGrid(recorded, HOUR_MS);
+
+  assert.ok(Math.abs(aligned.length - recorded.length) <= 1);
+  aligned.forEach(([timestamp]) => assert.equal(timestamp % HOUR_MS, 0));
+  assert.deepEqual(filled, []);
+});
+
+test('calculatePercentageChange is relative to the first value, to two decimals', () => {
+  assert.deepEqual(calculatePercentageChange([[1, 200], [2, 250], [3, 100], [4, 200.5]]), [[1, 0], [2, 25], [3, -50], [4, 0.25]]);
+});
+
+test('calculatePercentageChange handles empty series and a zero or missing baseline', () => {
+  assert.deepEqual(calculatePercentageChange([]), []);
+  assert.deepEqual(calculatePercentageChange(null), []);
+  assert.deepEqual(calculatePercentageChange([[1, 0], [2, 5]]), [[1, 0], [2, 0]]);
+  assert.deepEqual(calculatePercentageChange([[1, null], [2, 5]]), [[1, 0], [2, 0]]);
+  assert.deepEqual(calculatePercentageChange([[1, 42]]), [[1, 0]]);
+});
+
+test('calculatePercentageChange on a recorded series ends at the overall change', () => {
+  const changes = calculatePercentageChange(recorded);
+  const first = recorded[0][1];
+  const last = recorded[recorded.length - 1][1];
+
+  assert.equal(changes.length, recorded.length);
+  assert.equal(changes[0][1], 0);
+  assert.equal(changes[changes.length - 1][1], parseFloat((((last - first) / first) * 100).toFixed(2)));
+});
+
+test('chartFileCoinId maps every chart file variant back to its coin', () => {
+  assert.equal(chartFileCoinId('bitcoin.json'), 'bitcoin');
+  assert.equal(chartFileCoinId('bitcoin.min.json'), 'bitcoin');
+  assert.equal(chartFileCoinId('bitcoin.json.gz'), 'bitcoin');
+  assert.equal(chartFileCoinId('notes.txt'), null);
+});
+
+test('fetchAndSaveChartData stores history and writes the chart files, recording failures', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  const coins = (await fetchCoinUniverse()).filter(coin => ['bitcoin', 'ethereum', 'aave'].includes(coin.id));
+  // Ethereum's first chart request is rate limited and retried; aave has no recording, so a 404
+  api.fail({ path: '/api/v3/coins/ethereum/market_chart', status: 429 });
+
+  const outcome = await fetchAndSaveChartData(coins);
+
+  assert.deepEqual(outcome.attempted, ['bitcoin', 'ethereum', 'aave']);
+  assert.deepEqual(outcome.saved, ['bitcoin', 'ethereum']);
+  assert.equal(outcome.failed.length, 1);
+  assert.equal(outcome.failed[0].coingeckoId, 'aave');
+  assert.equal(outcome.failed[0].status, 404);
+  assert.match(outcome.failed[0].body, /coin not found/);
+
+  for (const suffix of ['.json', '.min.json', '.json.gz']) {
+    assert.ok(fs.existsSync(path.join(config.charts.dir, `bitcoin${suffix}`)));
+  }
+  const chart = JSON.parse(fs.readFileSync(path.join(config.charts.dir, 'bitcoin.json'), 'utf8'));
+  assert.equal(chart.coingecko_id, 'bitcoin');
+  assert.ok(chart.charts['24h'].points >= 23);
+  assert.equal(chart.charts['7d'].prices_percent_change[0][1], 0);
+  assert.ok((await historyStore.readSeries('bitcoin', 'hourly')).length >= 168);
+  assert.ok(!fs.existsSync(path.join(config.charts.dir, 'aave.json')));
+});
+
+test('fetchAndSaveChartData stops once the CoinGecko request budget is used up', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  const coins = (await fetchCoinUniverse()).filter(coin => ['bitcoin', 'ethereum'].includes(coin.id));
+  // Counted afresh against a budget of one request
+  config.http.hosts['api.coingecko.com'].budget = 1;
+  httpClient.useFetch(api.fetch);
+
+  try {
+    const outcome = await fetchAndSaveChartData(coins);
+    assert.equal(outcome.budgetExhausted, true);
+    assert.ok(outcome.saved.length < coins.length);
+    assert.deepEqual(outcome.failed, []);
+  } finally {
+    config.http.hosts['api.coingecko.com'].budget = 0;
+  }
+});
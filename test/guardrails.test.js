@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useScratchEnvironment } = require('./helpers/environment');
+
+const environment = useScratchEnvironment();
+const { config, HOUR_MS, DAY_MS } = require('../lib/config');
+const historyStore = require('../lib/history-store');
+const { checkCoins } = require('../lib/guardrails');
+
+test.after(environment.cleanup);
+test.beforeEach(() => fs.rmSync(config.history.dir, { recursive: true, force: true }));
+
+const now = Date.UTC(2026, 9, 10);
+const bitcoin = price => ({ id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', current_price: price, market_cap: 1 });
+const item = (price, lastUpdated) => ({
+  id: 'item-1', isArchived: false, lastUpdated: new Date(lastUpdated).toISOString(),
+  fieldData: { 'coingecko-id': 'bitcoin', 'price-2': String(price) }
+});
+const quarantinedIds = ({ quarantined }) => quarantined.map(entry => entry.id);
+
+test('a price move is judged against the stored history first', async () => {
+  await historyStore.mergeSeries('bitcoin', 'hourly', [[now - HOUR_MS, 100, 1, 1]]);
+
+  assert.deepEqual(quarantinedIds(await checkCoins([bitcoin(120)], [item(50, now - HOUR_MS)], now)), []);
+  assert.deepEqual(quarantinedIds(await checkCoins([bitcoin(200)], [item(200, now - HOUR_MS)], now)), ['bitcoin']);
+});
+
+test('a quarantined coin\'s moved price is accepted once its history and item are out of date', async () => {
+  await historyStore.mergeSeries('bitcoin', 'hourly', [[now - HOUR_MS, 100, 1, 1]]);
+  const frozen = item(100, now - HOUR_MS);
+  assert.deepEqual(quarantinedIds(await checkCoins([bitcoin(300)], [frozen], now)), ['bitcoin']);
+
+  // Nothing was written for it since, so both references are as old as the quarantine
+  const later = now + 3 * DAY_MS;
+  assert.deepEqual(quarantinedIds(await checkCoins([bitcoin(310)], [frozen], later)), []);
+});
+
+test('without recent history a recently updated Webflow item is the reference', async () => {
+  assert.deepEqual(quarantinedIds(await checkCoins([bitcoin(300)], [item(100, now - HOUR_MS)], now)), ['bitcoin']);
+  assert.deepEqual(quarantinedIds(await checkCoins([bitcoin(300)], [item(100, now - 3 * DAY_MS)], now)), []);
+});
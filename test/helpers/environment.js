@@ -0,0 +1,34 @@
+// Test environment: every test file runs in its own scratch directory (data/ is created there),
+// with rate limits loose enough not to slow the tests down and placeholder Webflow credentials.
+// Call before requiring anything from lib/, since the config is read when it is first loaded.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function useScratchEnvironment(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coingecko-webflow-sync-'));
+  process.chdir(dir);
+
+  delete process.env.DRY_RUN;
+  Object.assign(process.env, {
+    COINGECKO_RATE_PER_MINUTE: '60000',
+    COINGECKO_REQUEST_BUDGET: '0',
+    WEBFLOW_RATE_PER_MINUTE: '60000',
+    WEBFLOW_API_TOKEN: 'test-token',
+    WEBFLOW_COLLECTION_ID: 'test-collection',
+    ...env
+  });
+
+  // The sync logs every step; TEST_VERBOSE=true keeps the output
+  if (process.env.TEST_VERBOSE !== 'true') {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+module.exports = { useScratchEnvironment };
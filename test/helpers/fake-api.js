@@ -0,0 +1,271 @@
+// Offline emulation of the CoinGecko, CoinCap and Webflow v2 endpoints the sync uses, as a fetch function
+// for httpClient.useFetch(). CoinGecko data comes from test/fixtures (recorded from data/charts, coin
+// profiles trimmed from /coins/{id}) and CoinCap serves the same markets in its own shape; the Webflow
+// collections live in memory and notification webhooks at hooks.example.test take anything. Failures
+// (429s, 5xx, validation errors) can be queued per route.
+const fs = require('fs');
+const path = require('path');
+const { Response } = require('node-fetch');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long before a request the replayed charts' last regular sample was taken
+const LIVE_OFFSET_MS = 30 * 60 * 1000;
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+// Recorded responses by coin ID from a fixture directory, e.g. market-chart/<id>-7d.json
+function loadCoinFixtures(dir, suffix = '.json') {
+  const fixtures = new Map();
+  for (const file of fs.readdirSync(path.join(FIXTURES_DIR, dir))) {
+    fixtures.set(file.slice(0, -suffix.length), loadFixture(path.join(dir, file)));
+  }
+  return fixtures;
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+// `fields` lists the collection's fields, as slugs (PlainText) or schema fields { slug, type, validations };
+// items with other fields fail validation like Webflow's do. Without it any field is accepted.
+// `collections` holds the items of other (referenced) collections by collection ID, read only.
+function createFakeApi({
+  markets = loadFixture('markets.json'), items = [], fields = null, collections = {}, collectionId = 'test-collection'
+} = {}) {
+  const schemaFields = fields && fields.map(field => typeof field === 'string' ? { slug: field, type: 'PlainText' } : field);
+  const slugs = schemaFields && schemaFields.map(field => field.slug);
+  const api = {
+    // CoinGecko /coins/markets entries, in market cap order
+    markets,
+    // market_chart responses by coin ID
+    charts: loadCoinFixtures('market-chart', '-7d.json'),
+    // /coins/{id} responses by coin ID
+    profiles: loadCoinFixtures('coins'),
+    // USD value of a unit of each currency at CoinCap, by upper case code
+    coincapRates: { USD: 1, EUR: 1.25 },
+    // Webflow items by ID
+    items: new Map(items.map(item => [item.id, structuredClone(item)])),
+    // Every request as { method, host, path, query, body, headers }
+    calls: [],
+    publishedItemIds: [],
+    fail,
+    fetch
+  };
+  const failures = [];
+  let nextItemId = 1;
+
+  // Answer the next `times` requests matching method and path (a string or RegExp) with `status`
+  // 429s and 5xx come with "Retry-After: 0" unless headers say otherwise
+  function fail({ method = 'GET', path: route, status, body = { message: 'Injected failure' }, headers = {}, times = 1 }) {
+    const retryHeaders = status === 429 || status >= 500 ? { 'Retry-After': '0' } : {};
+    failures.push({ method, route, status, body, headers: { ...retryHeaders, ...headers }, times });
+  }
+
+  function takeFailure(method, pathname) {
+    const failure = failures.find(candidate =>
+      candidate.method === method &&
+      (candidate.route instanceof RegExp ? candidate.route.test(pathname) : candidate.route === pathname)
+    );
+    if (!failure) return null;
+    if (--failure.times === 0) failures.splice(failures.indexOf(failure), 1);
+    return jsonResponse(failure.status, failure.body, failure.headers);
+  }
+
+  async function fetch(url, options = {}) {
+    const { host, pathname, searchParams } = new URL(url);
+    const method = (options.method || 'GET').toUpperCase();
+    const body = options.body ? JSON.parse(options.body) : undefined;
+    const headers = options.headers || {};
+    api.calls.push({ method, host, path: pathname, query: Object.fromEntries(searchParams), body, headers });
+
+    const failure = takeFailure(method, pathname);
+    if (failure) return failure;
+
+    if (host === 'api.coingecko.com' || host === 'pro-api.coingecko.com') return coingecko(pathname, searchParams);
+    if (host === 'rest.coincap.io') return coincap(pathname, searchParams, headers);
+    if (host === 'api.webflow.com') return webflow(method, pathname, searchParams, body, headers);
+    // Notification webhooks take any message
+    if (host === 'hooks.example.test') return jsonResponse(200, { ok: true });
+    return jsonResponse(404, { message: `No emulation for ${host}` });
+  }
+
+  function coingecko(pathname, params) {
+    if (pathname === '/api/v3/coins/markets') {
+      const ids = params.get('ids');
+      const list = ids ? api.markets.filter(coin => ids.split(',').includes(coin.id)) : api.markets;
+      const perPage = Number(params.get('per_page') || 100);
+      const page = Number(params.get('page') || 1);
+      return jsonResponse(200, list.slice((page - 1) * perPage, page * perPage));
+    }
+
+    const profile = pathname.match(/^\/api\/v3\/coins\/([^/]+)$/);
+    if (profile && pathname !== '/api/v3/coins/markets') {
+      const recorded = api.profiles.get(profile[1]);
+      return recorded ? jsonResponse(200, recorded) : jsonResponse(404, { error: 'coin not found' });
+    }
+
+    const chart = pathname.match(/^\/api\/v3\/coins\/([^/]+)\/market_chart$/);
+    if (chart) {
+      const recorded = api.charts.get(chart[1]);
+      if (!recorded) return jsonResponse(404, { error: 'coin not found' });
+      return jsonResponse(200, replayChart(recorded, params.get('days'), { live: true }));
+    }
+
+    return jsonResponse(404, { error: 'Not found' });
+  }
+
+  // Recorded market_chart, as if its last sample was half an hour ago, from `days` back (all of it for
+  // "max"); with `live` it ends in a point at request time, like CoinGecko's
+  function replayChart(recorded, days, { live = false } = {}) {
+    const now = Date.now();
+    const shift = now - LIVE_OFFSET_MS - recorded.prices[recorded.prices.length - 1][0];
+    const start = days === 'max' ? -Infinity : now - Number(days) * DAY_MS;
+    const slice = series => {
+      const points = series
+        .map(([timestamp, value]) => [timestamp + shift, value])
+        .filter(([timestamp]) => timestamp >= start);
+      return live && points.length ? [...points, [now, points[points.length - 1][1]]] : points;
+    };
+    return {
+      prices: slice(recorded.prices),
+      market_caps: slice(recorded.market_caps),
+      total_volumes: slice(recorded.total_volumes)
+    };
+  }
+
+  // The markets as CoinCap assets: USD only, numbers as strings, no 7d/30d/1y changes, ATH or logo
+  function coincapAsset(coin, index) {
+    const text = value => value === null || value === undefined ? null : String(value);
+    return {
+      id: coin.id,
+      rank: String(index + 1),
+      symbol: coin.symbol.toUpperCase(),
+      name: coin.name,
+      supply: text(coin.circulating_supply),
+      maxSupply: text(coin.max_supply),
+      marketCapUsd: text(coin.market_cap),
+      volumeUsd24Hr: text(coin.total_volume),
+      priceUsd: text(coin.current_price),
+      changePercent24Hr: text(coin.price_change_percentage_24h)
+    };
+  }
+
+  function coincap(pathname, params, headers) {
+    if (!/^Bearer \S+/.test(headers.Authorization || '')) {
+      return jsonResponse(403, { error: 'Missing API key' });
+    }
+
+    if (pathname === '/v3/assets') {
+      const assets = api.markets.map(coincapAsset);
+      const ids = params.get('ids');
+      const list = ids ? assets.filter(asset => ids.split(',').includes(asset.id)) : assets.slice(0, Number(params.get('limit') || 100));
+      return jsonResponse(200, { data: list, timestamp: Date.now() });
+    }
+
+    if (pathname === '/v3/rates') {
+      const rates = Object.entries(api.coincapRates).map(([symbol, rateUsd]) => ({ id: symbol.toLowerCase(), symbol, rateUsd: String(rateUsd) }));
+      return jsonResponse(200, { data: rates, timestamp: Date.now() });
+    }
+
+    const history = pathname.match(/^\/v3\/assets\/([^/]+)\/history$/);
+    if (history) {
+      const recorded = api.charts.get(history[1]);
+      if (!recorded) return jsonResponse(404, { error: `${history[1]} not found` });
+      const days = (Number(params.get('end')) - Number(params.get('start'))) / DAY_MS;
+      const points = replayChart(recorded, days).prices.map(([time, price]) => ({ priceUsd: String(price), time }));
+      return jsonResponse(200, { data: points, timestamp: Date.now() });
+    }
+
+    return jsonResponse(404, { error: 'Not found' });
+  }
+
+  // Webflow's validation error for the fields of an item the collection doesn't have
+  function validate(item) {
+    if (!slugs || !item.fieldData) return [];
+    return Object.keys(item.fieldData)
+      .filter(slug => !slugs.includes(slug))
+      .map(slug => ({ param: slug, description: `Field not described in schema: ${slug}` }));
+  }
+
+  function validationError(details) {
+    return jsonResponse(400, { message: 'Validation Error', code: 'validation_error', details });
+  }
+
+  function webflow(method, pathname, params, body, headers) {
+    if (headers.Authorization !== `Bearer ${process.env.WEBFLOW_API_TOKEN}`) {
+      return jsonResponse(401, { message: 'Request not authorized', code: 'not_authorized' });
+    }
+
+    const referenced = pathname.match(/^\/v2\/collections\/([^/]+)\/items$/);
+    if (referenced && collections[referenced[1]] && method === 'GET') {
+      return jsonResponse(200, { items: collections[referenced[1]], pagination: { total: collections[referenced[1]].length } });
+    }
+
+    const base = `/v2/collections/${collectionId}`;
+    if (!pathname.startsWith(base)) return jsonResponse(404, { message: 'Collection not found', code: 'resource_not_found' });
+    const route = pathname.slice(base.length);
+
+    if (route === '' && method === 'GET') {
+      return jsonResponse(200, {
+        id: collectionId,
+        displayName: 'Coins',
+        fields: (schemaFields || []).map(field => ({ displayName: field.slug, ...field }))
+      });
+    }
+
+    if (route === '/items' && method === 'GET') {
+      const all = [...api.items.values()];
+      const limit = Number(params.get('limit') || 100);
+      const offset = Number(params.get('offset') || 0);
+      return jsonResponse(200, {
+        items: all.slice(offset, offset + limit),
+        pagination: { limit, offset, total: all.length }
+      });
+    }
+
+    if (route === '/items' && method === 'POST') {
+      const details = body.items.flatMap(validate);
+      if (details.length > 0) return validationError(details);
+      const created = body.items.map(item => ({
+        id: `item-${nextItemId++}`, isArchived: false, isDraft: false, ...item, lastUpdated: new Date().toISOString()
+      }));
+      created.forEach(item => api.items.set(item.id, item));
+      return jsonResponse(202, { items: created });
+    }
+
+    if (route === '/items' && method === 'PATCH') {
+      const unknown = body.items.filter(item => !api.items.has(item.id));
+      if (unknown.length > 0) return jsonResponse(404, { message: `Item not found: ${unknown[0].id}`, code: 'resource_not_found' });
+      const details = body.items.flatMap(validate);
+      if (details.length > 0) return validationError(details);
+      const updated = body.items.map(({ id, fieldData, ...flags }) => {
+        const item = api.items.get(id);
+        Object.assign(item, flags, { fieldData: { ...item.fieldData, ...fieldData }, lastUpdated: new Date().toISOString() });
+        return item;
+      });
+      return jsonResponse(200, { items: updated });
+    }
+
+    if (route === '/items' && method === 'DELETE') {
+      body.items.forEach(item => api.items.delete(item.id));
+      return jsonResponse(204);
+    }
+
+    if (route === '/items/publish' && method === 'POST') {
+      api.publishedItemIds.push(...body.itemIds);
+      return jsonResponse(202, { publishedItemIds: body.itemIds });
+    }
+
+    return jsonResponse(404, { message: 'Route not found', code: 'route_not_found' });
+  }
+
+  return api;
+}
+
+module.exports = { createFakeApi, loadFixture, jsonResponse };
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useScratchEnvironment } = require('./helpers/environment');
+
+const environment = useScratchEnvironment();
+const { config, HOUR_MS } = require('../lib/config');
+const historyStore = require('../lib/history-store');
+
+test.after(environment.cleanup);
+test.beforeEach(() => fs.rmSync(config.history.dir, { recursive: true, force: true }));
+
+const MINUTE_MS = 60 * 1000;
+const base = Date.UTC(2026, 9, 1);
+// An hourly sample a couple of minutes past the hour, as CoinGecko has them
+const sample = (hour, minutes = 2) => [base + hour * HOUR_MS + minutes * MINUTE_MS, 100 + hour, 1, 1];
+const timestamps = rows => rows.map(row => row[0]);
+
+test('an overlapping fetch only adds the new samples', async () => {
+  assert.equal(await historyStore.mergeSeries('bitcoin', 'hourly', [sample(0), sample(1)]), 2);
+
+  // The previous hours come back a few seconds off, as consecutive responses have them
+  const added = await historyStore.mergeSeries('bitcoin', 'hourly', [
+    [sample(0)[0] + 5000, 0, 0, 0], [sample(1)[0] + 5000, 0, 0, 0], sample(2), sample(3)
+  ]);
+
+  assert.equal(added, 2);
+  assert.deepEqual(await historyStore.readSeries('bitcoin', 'hourly'), [sample(0), sample(1), sample(2), sample(3)]);
+});
+
+test('an off-grid point gives way to the regular sample next to it', async () => {
+  // A live point stored by an earlier version
+  await historyStore.mergeSeries('bitcoin', 'hourly', [sample(0), sample(0, 37)]);
+  assert.deepEqual(timestamps(await historyStore.readSeries('bitcoin', 'hourly')), timestamps([sample(0), sample(0, 37)]));
+
+  const added = await historyStore.mergeSeries('bitcoin', 'hourly', [sample(0), sample(1), sample(2)]);
+
+  assert.equal(added, 2);
+  assert.deepEqual(await historyStore.readSeries('bitcoin', 'hourly'), [sample(0), sample(1), sample(2)]);
+});
+
+test('rows filling a gap are merged into the middle of the series', async () => {
+  await historyStore.mergeSeries('bitcoin', 'hourly', [sample(0), sample(3)]);
+
+  assert.equal(await historyStore.mergeSeries('bitcoin', 'hourly', [sample(1), sample(2)]), 2);
+  assert.deepEqual(await historyStore.readSeries('bitcoin', 'hourly'), [sample(0), sample(1), sample(2), sample(3)]);
+  assert.equal(await historyStore.mergeSeries('bitcoin', 'hourly', [sample(1), sample(2)]), 0);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { jsonResponse } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment();
+const { createHttpClient, parseRetryAfter } = require('../lib/http-client');
+
+test.after(environment.cleanup);
+
+const URL = 'https://api.example.test/resource';
+
+// Clock that only moves when the client sleeps
+function fakeClock() {
+  const clock = {
+    time: 0,
+    sleeps: [],
+    now: () => clock.time,
+    sleep: async ms => {
+      clock.sleeps.push(ms);
+      clock.time += ms;
+    }
+  };
+  return clock;
+}
+
+// Client against scripted responses; once the script runs out every request gets a 200
+function scriptedClient(responses = [], settings = {}) {
+  const clock = fakeClock();
+  const requests = [];
+  const client = createHttpClient({
+    fetchImpl: async (url, options = {}) => {
+      requests.push({ at: clock.time, method: options.method || 'GET' });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next ? next() : jsonResponse(200, { ok: true });
+    },
+    hosts: {},
+    defaults: { ratePerMinute: 60, burst: 2, budget: 0, maxRetries: 3, baseBackoffMs: 1000, maxBackoffMs: 8000, maxRetryAfterMs: 60000, ...settings },
+    sleep: clock.sleep,
+    now: clock.now,
+    random: () => 1
+  });
+  return { client, clock, requests };
+}
+
+test('requests within the burst go out at once, later ones at the configured rate', async () => {
+  const { client, requests } = scriptedClient();
+
+  for (let i = 0; i < 5; i++) await client.request(URL);
+
+  assert.deepEqual(requests.map(request => request.at), [0, 0, 1000, 2000, 3000]);
+});
+
+test('a 429 is retried after Retry-After', async () => {
+  const { client, clock, requests } = scriptedClient([
+    () => jsonResponse(429, { error: 'rate limited' }, { 'Retry-After': '30' })
+  ]);
+
+  const response = await client.request(URL);
+
+  assert.equal(response.status, 200);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].at, 30000);
+  assert.ok(clock.sleeps.includes(30000));
+  assert.deepEqual(client.stats()['api.example.test'], { requests: 2, retries: 1, throttled: 0, failures: 0, budget: null });
+});
+
+test('a Retry-After over the limit isn\'t waited out, the response is returned', async () => {
+  const { client, clock, requests } = scriptedClient([
+    () => jsonResponse(429, { error: 'rate limited' }, { 'Retry-After': '86400' })
+  ]);
+
+  const response = await client.request(URL);
+
+  assert.equal(response.status, 429);
+  assert.equal(requests.length, 1);
+  assert.deepEqual(clock.sleeps, []);
+  assert.equal(client.stats()['api.example.test'].failures, 1);
+});
+
+test('a 429 is retried for POST too, a 5xx only for idempotent methods', async () => {
+  const unavailable = () => jsonResponse(503, { error: 'unavailable' });
+
+  const get = scriptedClient([unavailable]);
+  assert.equal((await get.client.request(URL)).status, 200);
+  assert.equal(get.requests.length, 2);
+
+  const post = scriptedClient([unavailable]);
+  assert.equal((await post.client.request(URL, { method: 'POST' })).status, 503);
+  assert.equal(post.requests.length, 1);
+
+  const limited = scriptedClient([() => jsonResponse(429, {}, { 'Retry-After': '1' })]);
+  assert.equal((await limited.client.request(URL, { method: 'POST' })).status, 200);
+  assert.equal(limited.requests.length, 2);
+});
+
+test('retries back off exponentially and return the last response once used up', async () => {
+  const failing = () => jsonResponse(500, { error: 'boom' });
+  const { client, clock, requests } = scriptedClient([failing, failing, failing, failing]);
+
+  const response = await client.request(URL);
+
+  assert.equal(response.status, 500);
+  assert.equal(requests.length, 4);
+  // random() is pinned to 1, so every delay is the full (capped) backoff
+  assert.deepEqual(clock.sleeps.filter(ms => ms >= 1000), [1000, 2000, 4000]);
+  assert.equal(client.stats()['api.example.test'].failures, 1);
+});
+
+test('network errors are retried, then thrown', async () => {
+  const { client, requests } = scriptedClient([
+    new Error('socket hang up'), new Error('socket hang up'), new Error('socket hang up'), new Error('socket hang up')
+  ]);
+
+  await assert.rejects(client.request(URL), /socket hang up/);
+  assert.equal(requests.length, 4);
+});
+
+test('X-RateLimit-Remaining: 0 holds the next request until the window resets', async () => {
+  const { client, requests } = scriptedClient([
+    () => jsonResponse(200, {}, { 'X-RateLimit-Remaining': '0', 'Retry-After': '20' })
+  ], { burst: 10 });
+
+  await client.request(URL);
+  await client.request(URL);
+
+  assert.equal(requests[1].at, 20000);
+});
+
+test('the request budget is enforced per host', async () => {
+  const { client } = scriptedClient([], { budget: 2 });
+
+  assert.equal(client.remaining('api.example.test'), 2);
+  await client.request(URL);
+  await client.request(URL);
+  assert.equal(client.remaining('api.example.test'), 0);
+  await assert.rejects(client.request(URL), { code: 'BUDGET_EXHAUSTED' });
+  // Other hosts have their own budget
+  await client.request('https://other.example.test/');
+});
+
+test('useFetch swaps the implementation and resets the counters', async () => {
+  const { client } = scriptedClient();
+  await client.request(URL);
+
+  client.useFetch(async () => jsonResponse(418, {}));
+
+  assert.deepEqual(client.stats(), {});
+  assert.equal((await client.request(URL)).status, 418);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('5', 0), 5000);
+  assert.equal(parseRetryAfter('0', 0), 0);
+  assert.equal(parseRetryAfter(new Date(90000).toUTCString(), 30000), 60000);
+  assert.equal(parseRetryAfter(new Date(0).toUTCString(), 30000), 0);
+  assert.equal(parseRetryAfter('soon', 0), null);
+  assert.equal(parseRetryAfter('', 0), null);
+  assert.equal(parseRetryAfter(null, 0), null);
+});
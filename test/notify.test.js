@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment({
+  NOTIFY_WEBHOOK_URLS: 'https://hooks.example.test/first,https://hooks.example.test/second'
+});
+const { httpClient } = require('../lib/http-client');
+const { notify } = require('../lib/notify');
+const { deliverAlerts } = require('../lib/alerts');
+
+test.after(environment.cleanup);
+
+const alert = { key: 'btc-above:bitcoin', message: 'Bitcoin crossed above 100,000 USD', at: '2026-10-01T00:00:00.000Z' };
+
+test('each webhook URL is sent to on its own, past one that fails', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  api.fail({ method: 'POST', path: '/first', status: 500 });
+
+  const outcome = await notify({ title: 'Test', lines: ['one'], payload: {} });
+
+  assert.deepEqual(outcome, { sent: ['webhook#2'], failed: ['webhook#1'] });
+  assert.deepEqual(api.calls.map(call => call.path), ['/first', '/second']);
+  assert.equal(api.calls[1].body.title, 'Test');
+});
+
+test('an alert one webhook URL took isn\'t re-armed, one none took is', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  api.fail({ method: 'POST', path: '/first', status: 500 });
+
+  const state = { conditions: { [alert.key]: true }, lastFired: {} };
+  const next = await deliverAlerts([alert], state);
+  assert.equal(next.lastFired[alert.key], alert.at);
+  assert.equal(next.conditions[alert.key], true);
+
+  api.fail({ method: 'POST', path: '/first', status: 500 });
+  api.fail({ method: 'POST', path: '/second', status: 500 });
+  const failed = await deliverAlerts([alert], state);
+  assert.equal(failed.lastFired[alert.key], undefined);
+  assert.equal(failed.conditions[alert.key], false);
+});
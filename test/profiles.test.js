@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi, loadFixture } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment({ WEBFLOW_OPTIONAL_FIELDS: 'profile' });
+const { config, DAY_MS } = require('../lib/config');
+const { httpClient } = require('../lib/http-client');
+const { plan } = require('../lib/plan');
+const { readProfile, pickProfile, enrichProfiles, keepEditorFields } = require('../lib/profiles');
+
+test.after(environment.cleanup);
+test.beforeEach(() => fs.rmSync(config.profiles.dir, { recursive: true, force: true }));
+
+const coin = id => ({ id, name: id });
+const profileCalls = api => api.calls.filter(call => /^\/api\/v3\/coins\/[^/]+$/.test(call.path)).map(call => call.path.split('/').pop());
+
+test('pickProfile keeps the usable links, categories and contract addresses', () => {
+  const bitcoin = pickProfile(loadFixture('coins/bitcoin.json'));
+  assert.equal(bitcoin.homepage, 'http://www.bitcoin.org');
+  assert.equal(bitcoin.explorer, 'https://mempool.space/');
+  assert.equal(bitcoin.twitter, 'https://twitter.com/bitcoin');
+  assert.equal(bitcoin.genesis_date, '2009-01-03');
+  assert.deepEqual(bitcoin.categories, ['Cryptocurrency', 'Layer 1 (L1)', 'Proof of Work (PoW)']);
+  assert.equal(bitcoin.contract_address, null);
+  assert.deepEqual(bitcoin.contracts, []);
+
+  const chainlink = pickProfile(loadFixture('coins/chainlink.json'));
+  assert.equal(chainlink.explorer, 'https://etherscan.io/token/0x514910771af9ca656af840dff83e8264ecf986ca');
+  assert.equal(chainlink.contract_address, '0x514910771af9ca656af840dff83e8264ecf986ca');
+  assert.deepEqual(chainlink.contracts, [
+    'ethereum: 0x514910771af9ca656af840dff83e8264ecf986ca',
+    'arbitrum-one: 0xf97f4df75117a78c1a5a0dbb814af92458539fb4'
+  ]);
+
+  assert.deepEqual(pickProfile({}).categories, []);
+});
+
+test('missing profiles are fetched and cached, then read from the cache until they are due again', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  const coins = [coin('bitcoin'), coin('chainlink')];
+
+  const outcome = await enrichProfiles(coins);
+
+  assert.deepEqual(outcome.fetched, ['bitcoin', 'chainlink']);
+  assert.equal(coins[0].profile.homepage, 'http://www.bitcoin.org');
+  assert.equal((await readProfile('chainlink')).profile.contract_address, '0x514910771af9ca656af840dff83e8264ecf986ca');
+
+  const again = [coin('bitcoin'), coin('chainlink')];
+  const cached = await enrichProfiles(again);
+  assert.equal(cached.cached, 2);
+  assert.deepEqual(cached.attempted, []);
+  assert.equal(again[1].profile.explorer, coins[1].profile.explorer);
+  assert.deepEqual(profileCalls(api), ['bitcoin', 'chainlink']);
+
+  await enrichProfiles([coin('bitcoin')], { now: Date.now() + config.profiles.refreshDays * DAY_MS });
+  assert.deepEqual(profileCalls(api), ['bitcoin', 'chainlink', 'bitcoin']);
+});
+
+test('the budget goes to missing profiles first, then the stalest; failures keep the cached profile', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  await enrichProfiles([coin('bitcoin')], { now: Date.now() - 30 * DAY_MS });
+  config.profiles.requestBudget = 2;
+
+  try {
+    // Ethereum has no recorded profile, so a 404
+    const coins = [coin('bitcoin'), coin('ethereum'), coin('chainlink')];
+    const outcome = await enrichProfiles(coins, { quarantinedIds: new Set(['chainlink']) });
+
+    assert.deepEqual(outcome.attempted, ['ethereum', 'bitcoin']);
+    assert.equal(outcome.failed[0].coingeckoId, 'ethereum');
+    assert.equal(outcome.failed[0].status, 404);
+    assert.equal(coins[0].profile.homepage, 'http://www.bitcoin.org');
+    assert.equal(coins[1].profile, undefined);
+  } finally {
+    config.profiles.requestBudget = 3;
+  }
+});
+
+test('a dry run plans the fetches and writes nothing; without refresh only the cache is read', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  config.dryRun = true;
+
+  try {
+    await enrichProfiles([coin('bitcoin')]);
+  } finally {
+    config.dryRun = false;
+  }
+  assert.deepEqual(plan.profiles, ['bitcoin']);
+
+  await enrichProfiles([coin('bitcoin')], { refresh: false });
+  assert.deepEqual(api.calls, []);
+  assert.ok(!fs.existsSync(config.profiles.dir));
+});
+
+test('keepEditorFields saves the editor-owned values of deleted items for their coin', async () => {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+
+  await keepEditorFields([
+    { id: 'a', fieldData: { 'coingecko-id': 'bitcoin', name: 'Bitcoin', description: '<p>Our copy</p>', website: 'https://x' } },
+    { id: 'b', fieldData: { 'coingecko-id': 'ethereum', name: 'Ethereum', description: '' } }
+  ]);
+
+  assert.deepEqual((await readProfile('bitcoin')).editor_fields, { description: '<p>Our copy</p>' });
+  assert.equal(await readProfile('ethereum'), null);
+
+  const coins = [coin('bitcoin')];
+  await enrichProfiles(coins);
+  assert.deepEqual(coins[0].editorFields, { description: '<p>Our copy</p>' });
+  assert.deepEqual((await readProfile('bitcoin')).editor_fields, { description: '<p>Our copy</p>' });
+});
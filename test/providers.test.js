@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment({
+  MARKET_PROVIDERS: 'coingecko,coincap,stub',
+  COINCAP_API_KEY: 'test-coincap-key',
+  QUOTE_CURRENCIES: 'usd,eur',
+  UNIVERSE_TOP_N: '3'
+});
+const { config } = require('../lib/config');
+const { httpClient } = require('../lib/http-client');
+const { coingeckoHost } = require('../lib/coingecko');
+const { providerId, coingeckoId } = require('../lib/providers/ids');
+const {
+  resetProviders, isUnavailable, providerOutages, fetchCoinUniverse, fetchMarketChart
+} = require('../lib/providers');
+
+test.after(environment.cleanup);
+test.beforeEach(() => {
+  fs.rmSync(config.dataDir, { recursive: true, force: true });
+  resetProviders();
+});
+
+// Every CoinGecko request fails with a 503, through all of the client's retries
+function coingeckoDown(api) {
+  api.fail({ path: /^\/api\/v3\//, status: 503, times: 5 });
+}
+
+function useApi() {
+  const api = createFakeApi();
+  httpClient.useFetch(api.fetch);
+  return api;
+}
+
+const hosts = api => [...new Set(api.calls.map(call => call.host))];
+
+test('CoinGecko Demo keys go to the public API, Pro keys to pro-api', async () => {
+  const api = useApi();
+  config.coingecko.apiKey = 'cg-key';
+
+  try {
+    await fetchCoinUniverse();
+    assert.equal(api.calls[0].host, 'api.coingecko.com');
+    assert.equal(api.calls[0].headers['x-cg-demo-api-key'], 'cg-key');
+
+    config.coingecko.plan = 'pro';
+    assert.equal(coingeckoHost(), 'pro-api.coingecko.com');
+    await fetchCoinUniverse();
+    assert.equal(api.calls.at(-1).host, 'pro-api.coingecko.com');
+    assert.equal(api.calls.at(-1).headers['x-cg-pro-api-key'], 'cg-key');
+  } finally {
+    config.coingecko.apiKey = undefined;
+    config.coingecko.plan = 'demo';
+  }
+  assert.equal(coingeckoHost(), 'api.coingecko.com');
+});
+
+test('the primary serves the universe and its coins are kept as the snapshot', async () => {
+  const api = useApi();
+
+  const coins = await fetchCoinUniverse();
+
+  assert.deepEqual(coins.map(coin => coin.id), ['bitcoin', 'ethereum', 'cardano']);
+  assert.ok(coins.every(coin => coin.source_provider === 'coingecko'));
+  assert.deepEqual(hosts(api), ['api.coingecko.com']);
+  const snapshot = JSON.parse(fs.readFileSync(config.providers.snapshotFile, 'utf8'));
+  assert.equal(snapshot.provider, 'coingecko');
+  assert.deepEqual(snapshot.coins.map(coin => coin.id), ['bitcoin', 'ethereum', 'cardano']);
+});
+
+test('while CoinGecko is down CoinCap values are laid over the snapshot, converted to every currency', async () => {
+  let api = useApi();
+  const [before] = await fetchCoinUniverse();
+
+  api = useApi();
+  resetProviders();
+  coingeckoDown(api);
+  api.markets[0] = { ...api.markets[0], current_price: api.markets[0].current_price * 1.01 };
+
+  const coins = await fetchCoinUniverse();
+  const [bitcoin] = coins;
+
+  assert.deepEqual(coins.map(coin => coin.id), ['bitcoin', 'ethereum', 'cardano']);
+  assert.ok(coins.every(coin => coin.source_provider === 'coincap'));
+  assert.equal(bitcoin.current_price, api.markets[0].current_price);
+  assert.equal(bitcoin.quotes.usd.current_price, api.markets[0].current_price);
+  assert.equal(bitcoin.quotes.eur.current_price, api.markets[0].current_price / 1.25);
+  // CoinCap has no 7d change or logo, so the snapshot's stay
+  assert.equal(bitcoin.price_change_percentage_7d_in_currency, before.price_change_percentage_7d_in_currency);
+  assert.equal(bitcoin.image, before.image);
+
+  assert.ok(isUnavailable('coingecko'));
+  assert.deepEqual(providerOutages().map(outage => outage.provider), ['coingecko']);
+  assert.equal(api.calls.find(call => call.host === 'rest.coincap.io').headers.Authorization, 'Bearer test-coincap-key');
+
+  // The rest of the run goes straight to CoinCap
+  const coingeckoCalls = api.calls.filter(call => call.host === 'api.coingecko.com').length;
+  const chart = await fetchMarketChart('bitcoin', 7, 'usd');
+  assert.ok(chart.prices.length > 0);
+  assert.deepEqual(chart.market_caps, []);
+  assert.equal(api.calls.filter(call => call.host === 'api.coingecko.com').length, coingeckoCalls);
+  assert.equal(api.calls.at(-1).path, '/v3/assets/bitcoin/history');
+});
+
+test('without a snapshot the fallback ranks its own universe and nothing is saved', async () => {
+  const api = useApi();
+  coingeckoDown(api);
+  config.universe.excludeIds = ['ethereum'];
+
+  try {
+    const coins = await fetchCoinUniverse();
+    assert.deepEqual(coins.map(coin => coin.id), ['bitcoin', 'cardano', 'chainlink']);
+    assert.equal(coins[0].image, undefined);
+  } finally {
+    config.universe.excludeIds = [];
+  }
+  assert.ok(!fs.existsSync(config.providers.snapshotFile));
+});
+
+test('the stub provider serves a recorded markets file and the stored history offline', async () => {
+  const api = useApi();
+  coingeckoDown(api);
+  config.providers.market = ['coingecko', 'stub'];
+  config.providers.stubFile = path.join(__dirname, 'fixtures', 'markets.json');
+  resetProviders();
+
+  try {
+    const coins = await fetchCoinUniverse();
+    assert.deepEqual(coins.map(coin => coin.id), ['bitcoin', 'ethereum', 'cardano']);
+    assert.ok(coins.every(coin => coin.source_provider === 'stub'));
+    assert.equal(coins[0].current_price, api.markets[0].current_price);
+
+    const now = Date.now();
+    fs.mkdirSync(path.join(config.history.dir, 'bitcoin'), { recursive: true });
+    fs.writeFileSync(path.join(config.history.dir, 'bitcoin', 'hourly.jsonl'), `${JSON.stringify([now - 3600000, 1, 2, 3])}\n`);
+    const chart = await fetchMarketChart('bitcoin', 2, 'usd');
+    assert.deepEqual(chart, { prices: [[now - 3600000, 1]], market_caps: [[now - 3600000, 2]], total_volumes: [[now - 3600000, 3]] });
+  } finally {
+    config.providers.market = ['coingecko', 'coincap', 'stub'];
+    config.providers.stubFile = null;
+  }
+  assert.ok(api.calls.every(call => call.host === 'api.coingecko.com'));
+});
+
+test('errors that aren\'t outages are thrown without trying the fallbacks', async () => {
+  const api = useApi();
+
+  await assert.rejects(fetchMarketChart('unknown-coin', 7, 'usd'), { status: 404 });
+  assert.deepEqual(hosts(api), ['api.coingecko.com']);
+  assert.deepEqual(providerOutages(), []);
+});
+
+test('a 429 is thrown without failing over', async () => {
+  const api = useApi();
+  api.fail({ path: '/api/v3/coins/markets', status: 429, times: 5 });
+
+  await assert.rejects(fetchCoinUniverse(), { status: 429 });
+  assert.deepEqual(hosts(api), ['api.coingecko.com']);
+  assert.deepEqual(providerOutages(), []);
+});
+
+test('a failed chart request goes to the next provider without taking CoinGecko out', async () => {
+  const api = useApi();
+  api.fail({ path: '/api/v3/coins/bitcoin/market_chart', status: 503, times: 5 });
+
+  const bitcoin = await fetchMarketChart('bitcoin', 7, 'usd');
+  assert.deepEqual(bitcoin.market_caps, []);
+  assert.equal(api.calls.at(-1).path, '/v3/assets/bitcoin/history');
+  assert.deepEqual(providerOutages(), []);
+
+  const ethereum = await fetchMarketChart('ethereum', 7, 'usd');
+  assert.ok(ethereum.market_caps.length > 0);
+  assert.equal(api.calls.at(-1).host, 'api.coingecko.com');
+});
+
+test('once every provider is down the first one\'s error is thrown, then NO_PROVIDER', async () => {
+  const api = useApi();
+  coingeckoDown(api);
+  api.fail({ path: '/v3/assets', status: 500, times: 5 });
+
+  // No snapshot, so there is nothing for the stub to serve either
+  await assert.rejects(fetchCoinUniverse(), { status: 503, body: /Injected failure/ });
+  assert.deepEqual(providerOutages().map(outage => outage.provider), ['coingecko', 'coincap', 'stub']);
+  await assert.rejects(fetchCoinUniverse(), { code: 'NO_PROVIDER', message: /down: CoinGecko, CoinCap, Stub/ });
+});
+
+test('provider IDs come from config/provider-ids.js, others are the CoinGecko ID', () => {
+  assert.equal(providerId('coincap', 'ripple'), 'xrp');
+  assert.equal(providerId('coincap', 'bitcoin'), 'bitcoin');
+  assert.equal(coingeckoId('coincap', 'binance-coin'), 'binancecoin');
+  assert.equal(coingeckoId('coincap', 'ethereum'), 'ethereum');
+});
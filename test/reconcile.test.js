@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment();
+const { config } = require('../lib/config');
+const { httpClient } = require('../lib/http-client');
+const { fetchCoinUniverse } = require('../lib/coingecko');
+const { buildFieldData } = require('../lib/webflow');
+const { reconcileItems } = require('../lib/reconcile');
+
+test.after(environment.cleanup);
+
+const defaults = { ...config.webflow.reconcile };
+test.afterEach(() => Object.assign(config.webflow.reconcile, defaults));
+
+// The coin universe from the recorded markets (bitcoin, ethereum, cardano, chainlink, aave)
+async function loadCoins() {
+  httpClient.useFetch(createFakeApi().fetch);
+  return fetchCoinUniverse();
+}
+
+function item(id, fieldData, flags = {}) {
+  return { id, isArchived: false, isDraft: false, ...flags, fieldData };
+}
+
+const ids = items => items.map(entry => entry.id);
+const types = result => result.actions.map(action => action.type);
+
+test('items without a coingecko-id are matched by name and symbol', async () => {
+  const coins = await loadCoins();
+  const { name, symbol } = buildFieldData(coins[0]);
+  const result = reconcileItems(coins, [item('btc', { name: name.toUpperCase(), symbol: ` ${symbol} ` })]);
+
+  assert.equal(result.coinIdOf(result.items[0]), 'bitcoin');
+  assert.deepEqual(types(result), ['backfill']);
+  assert.deepEqual(result.actions[0].itemIds, ['btc']);
+});
+
+test('backfilling can be turned off, leaving the item unmatched', async () => {
+  const coins = await loadCoins();
+  const { name, symbol } = buildFieldData(coins[0]);
+  config.webflow.reconcile.backfillIds = false;
+
+  const result = reconcileItems(coins, [item('btc', { name, symbol })]);
+
+  assert.deepEqual(result.items, []);
+  assert.deepEqual(ids(result.archive), ['btc']);
+  assert.deepEqual(types(result), ['unmatched']);
+});
+
+test('unmatched items are archived, deleted or kept as WEBFLOW_UNMATCHED_ITEMS says', async () => {
+  const coins = await loadCoins();
+  const items = [item('orphan', { name: 'Orphan' }), item('archived', { name: 'Gone' }, { isArchived: true })];
+
+  let result = reconcileItems(coins, items);
+  // The one archived by an earlier run isn't reported again
+  assert.deepEqual(ids(result.archive), ['orphan']);
+  assert.equal(result.actions.length, 1);
+
+  config.webflow.reconcile.unmatched = 'delete';
+  result = reconcileItems(coins, items);
+  assert.deepEqual(ids(result.remove), ['orphan', 'archived']);
+
+  config.webflow.reconcile.unmatched = 'keep';
+  result = reconcileItems(coins, items);
+  assert.deepEqual(result.remove, []);
+  assert.deepEqual(result.archive, []);
+  assert.deepEqual(types(result), ['unmatched', 'unmatched']);
+});
+
+test('an item whose ID left the set moves to the coin with its name and symbol', async () => {
+  const coins = await loadCoins();
+  const cardano = buildFieldData(coins[2]);
+  const ethereum = buildFieldData(coins[1]);
+  const result = reconcileItems(coins, [
+    item('ada', { ...cardano, 'coingecko-id': 'cardano-old' }),
+    // Ethereum has an item of its own, so this one just left the set
+    item('eth-old', { ...ethereum, 'coingecko-id': 'ethereum-old' }),
+    item('eth', ethereum)
+  ]);
+
+  assert.equal(result.coinIdOf(result.items[0]), 'cardano');
+  assert.equal(result.coinIdOf(result.items[1]), 'ethereum-old');
+  assert.deepEqual(types(result), ['moved']);
+  assert.match(result.actions[0].message, /cardano-old to cardano/);
+});
+
+test('duplicates keep the oldest item and merge the empty fields from the others', async () => {
+  const coins = await loadCoins();
+  const bitcoin = buildFieldData(coins[0]);
+  const result = reconcileItems(coins, [
+    item('newer', { ...bitcoin, description: 'Digital gold', slug: 'bitcoin-2' }, { createdOn: '2024-03-01T00:00:00Z' }),
+    item('older', { ...bitcoin, description: '' }, { createdOn: '2024-01-01T00:00:00Z' })
+  ]);
+
+  assert.deepEqual(ids(result.items), ['older']);
+  assert.deepEqual(ids(result.remove), ['newer']);
+  assert.deepEqual(result.fieldUpdates.get('older'), { description: 'Digital gold' });
+  assert.deepEqual(result.actions[0], {
+    type: 'duplicate',
+    coingeckoId: 'bitcoin',
+    itemIds: ['older', 'newer'],
+    message: result.actions[0].message
+  });
+  assert.match(result.actions[0].message, /merged description/);
+});
+
+test('the newest and report strategies, and quarantined coins', async () => {
+  const coins = await loadCoins();
+  const bitcoin = buildFieldData(coins[0]);
+  const items = [
+    item('older', bitcoin, { createdOn: '2024-01-01T00:00:00Z' }),
+    item('newer', bitcoin, { createdOn: '2024-03-01T00:00:00Z' })
+  ];
+
+  config.webflow.reconcile.duplicates = 'newest';
+  let result = reconcileItems(coins, items);
+  assert.deepEqual(ids(result.items), ['newer']);
+  assert.deepEqual(ids(result.remove), ['older']);
+  assert.equal(result.fieldUpdates.size, 0);
+
+  // Quarantined coins are left alone whatever the strategy
+  result = reconcileItems(coins, items, { quarantinedIds: new Set(['bitcoin']) });
+  assert.deepEqual(ids(result.items), ['older']);
+  assert.deepEqual(result.remove, []);
+
+  config.webflow.reconcile.duplicates = 'report';
+  result = reconcileItems(coins, items);
+  assert.deepEqual(result.remove, []);
+  assert.deepEqual(types(result), ['duplicate']);
+});
+
+test('rebrands are reported as mismatches', async () => {
+  const coins = await loadCoins();
+  const result = reconcileItems(coins, [item('btc', { ...buildFieldData(coins[0]), name: 'Bitcoin Classic' })]);
+
+  assert.deepEqual(types(result), ['mismatch']);
+  assert.match(result.actions[0].message, /name "Bitcoin Classic" → "Bitcoin"/);
+});
+
+test('an unknown strategy is refused', async () => {
+  const coins = await loadCoins();
+  config.webflow.reconcile.duplicates = 'latest';
+
+  assert.throws(() => reconcileItems(coins, []), { code: 'INVALID_STRATEGY' });
+});
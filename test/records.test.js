@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchEnvironment } = require('./helpers/environment');
+
+const environment = useScratchEnvironment();
+const { config } = require('../lib/config');
+const { diffRecords } = require('../lib/destinations/records');
+const { createExportDestination } = require('../lib/destinations/export');
+
+test.after(environment.cleanup);
+
+const coin = id => ({ id, name: id, symbol: id.slice(0, 3), current_price: 1, market_cap: 1 });
+const existing = ids => new Map(ids.map(id => [id, { ref: id, record: { coingecko_id: id } }]));
+
+test('records of coins that left the set are kept until their grace period is over', () => {
+  const changes = diffRecords('test', [coin('bitcoin')], existing(['bitcoin', 'dogecoin', 'old-coin']), {
+    expiredIds: new Set(['old-coin'])
+  });
+
+  assert.deepEqual(changes.delete.map(entry => entry.id), ['old-coin']);
+  assert.deepEqual(changes.kept, ['dogecoin']);
+});
+
+test('the export keeps the records of coins within their grace period', () => {
+  const destination = createExportDestination();
+  const changes = destination.diff([coin('bitcoin')], existing(['dogecoin', 'old-coin']), {
+    quarantinedIds: new Set(), expiredIds: new Set(['old-coin']), runAt: new Date().toISOString()
+  });
+
+  assert.deepEqual(changes.records.map(record => record.coingecko_id), ['bitcoin', 'dogecoin']);
+});
+
+test('a CSV-only export reads its previous records back from the CSV', async () => {
+  const { formats } = config.export;
+  config.export.formats = ['csv'];
+  const destination = createExportDestination();
+  const run = async (coins, context) => {
+    const changes = destination.diff(coins, await destination.fetchExisting(), {
+      quarantinedIds: new Set(), expiredIds: new Set(), ...context
+    });
+    await destination.apply(changes, context);
+    return changes;
+  };
+
+  try {
+    const first = { runAt: '2026-10-01T00:00:00.000Z' };
+    await run([coin('bitcoin'), { ...coin('ethereum'), name: 'Ether, "the" coin' }, coin('dogecoin')], first);
+    assert.ok(!fs.existsSync(path.join(config.export.dir, 'coins.json')));
+
+    // Ethereum is quarantined and dogecoin left the set, still within its grace period
+    const second = { runAt: '2026-10-01T01:00:00.000Z', quarantinedIds: new Set(['ethereum']) };
+    const changes = await run([coin('bitcoin'), { ...coin('ethereum'), current_price: 2 }], second);
+
+    assert.deepEqual([changes.create.length, changes.update.length, changes.skipped], [0, 0, 1]);
+    assert.deepEqual(changes.kept, ['dogecoin']);
+    const ethereum = changes.records.find(record => record.coingecko_id === 'ethereum');
+    assert.equal(ethereum.name, 'Ether, "the" coin');
+    assert.equal(ethereum.last_updated, first.runAt);
+    assert.deepEqual(changes.records.map(record => record.coingecko_id), ['bitcoin', 'ethereum', 'dogecoin']);
+  } finally {
+    config.export.formats = formats;
+  }
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchEnvironment } = require('./helpers/environment');
+
+const environment = useScratchEnvironment({ SHEETS_CHANGES_TAB: '' });
+const { planSheetRequests } = require('../lib/sheets');
+
+test.after(environment.cleanup);
+
+const bitcoin = { id: 'bitcoin', name: 'Bitcoin', symbol: 'btc', current_price: 100000, market_cap: 2000000000000 };
+const cellValues = row => row.values.map(cell => Object.values(cell.userEnteredValue || {})[0] ?? null);
+
+// A spreadsheet with the main tab and a history tab whose header row is `historyHeader`
+function spreadsheet(historyHeader) {
+  const tabs = new Map([
+    ['Sheet1', { sheetId: 0, rowCount: 1000, columnCount: 26 }],
+    ['History', { sheetId: 1, rowCount: 1000, columnCount: historyHeader.length }]
+  ]);
+  return {
+    tabs: { ensure: title => tabs.get(title) },
+    currentValues: new Map([['Sheet1', []]]),
+    headerRows: new Map([['History', historyHeader]])
+  };
+}
+
+test('history rows follow the tab\'s header, which gains the new columns at its end', () => {
+  const { requests } = planSheetRequests([bitcoin], spreadsheet(['run_at', 'old_column', 'coingecko_id', 'name']), {
+    runAt: '2026-10-01T00:00:00.000Z'
+  });
+  const header = requests.find(request => request.updateCells?.start.sheetId === 1);
+  const append = requests.find(request => request.appendCells?.sheetId === 1);
+
+  assert.deepEqual(header.updateCells.start, { sheetId: 1, rowIndex: 0, columnIndex: 4 });
+  const added = cellValues(header.updateCells.rows[0]);
+  assert.equal(added[0], 'symbol');
+  assert.ok(!added.includes('name'));
+
+  const [row] = append.appendCells.rows.map(cellValues);
+  assert.deepEqual(row.slice(0, 5), ['2026-10-01T00:00:00.000Z', null, 'bitcoin', 'Bitcoin', 'BTC']);
+  assert.equal(row.length, 4 + added.length);
+  assert.ok(requests.some(request => request.appendDimension?.sheetId === 1 && request.appendDimension.dimension === 'COLUMNS'));
+});
+
+test('an unchanged history header isn\'t written again', () => {
+  const first = planSheetRequests([bitcoin], spreadsheet([]), { runAt: '2026-10-01T00:00:00.000Z' });
+  const header = cellValues(first.requests.find(request => request.updateCells?.start.sheetId === 1).updateCells.rows[0]);
+  assert.equal(header[0], 'run_at');
+
+  const { requests } = planSheetRequests([bitcoin], spreadsheet(header), { runAt: '2026-10-01T01:00:00.000Z' });
+  assert.ok(!requests.some(request => request.updateCells?.start.sheetId === 1));
+  assert.equal(requests.filter(request => request.appendCells?.sheetId === 1).length, 1);
+});
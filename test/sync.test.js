@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment();
+const { config, applyCommandLine } = require('../lib/config');
+const { httpClient } = require('../lib/http-client');
+const { buildFieldData } = require('../lib/webflow');
+const historyStore = require('../lib/history-store');
+const { plan } = require('../lib/plan');
+const { cleanupOldChartFiles, describeSetChanges, COMMANDS, main } = require('../sync');
+
+test.after(environment.cleanup);
+
+const coins = [{ id: 'bitcoin', name: 'Bitcoin' }, { id: 'ethereum', name: 'Ethereum' }];
+
+// Chart files (all three variants) and an hourly history row per coin
+async function seed(ids) {
+  fs.rmSync(config.dataDir, { recursive: true, force: true });
+  fs.mkdirSync(config.charts.dir, { recursive: true });
+  for (const id of ids) {
+    for (const suffix of ['.json', '.min.json', '.json.gz']) {
+      fs.writeFileSync(path.join(config.charts.dir, `${id}${suffix}`), '{}');
+    }
+    await historyStore.mergeSeries(id, 'hourly', [[Date.now(), 1, 1, 1]]);
+  }
+}
+
+const chartFiles = () => fs.readdirSync(config.charts.dir).sort();
+
+test('requiring sync.js runs nothing', () => {
+  assert.ok(!fs.existsSync(path.join(config.dataDir, 'run-report.json')));
+  assert.deepEqual(Object.keys(COMMANDS), ['sync', 'webflow', 'sheets', 'charts', 'cleanup', 'schema', 'verify']);
+});
+
+test('flag values given without "=" and unknown flags fail before a command runs', async () => {
+  assert.equal(await main(['--config', 'settings.json']), 1);
+  assert.equal(await main(['charts', 'bitcoin', '--top', '5']), 1);
+  assert.equal(await main(['--dry-run=yes']), 1);
+  assert.equal(await main(['--verbose']), 1);
+  assert.ok(!fs.existsSync(path.join(config.dataDir, 'run-report.json')));
+
+  assert.equal(await main(['help', '--top=5', '--dry-run']), 0);
+});
+
+test('cleanupOldChartFiles removes the charts and history of expired coins only', async () => {
+  await seed(['bitcoin', 'ethereum', 'delisted', 'expired']);
+
+  await cleanupOldChartFiles(coins, new Set(['expired']));
+
+  assert.deepEqual(chartFiles(), [
+    'bitcoin.json', 'bitcoin.json.gz', 'bitcoin.min.json',
+    'delisted.json', 'delisted.json.gz', 'delisted.min.json',
+    'ethereum.json', 'ethereum.json.gz', 'ethereum.min.json'
+  ]);
+  assert.deepEqual((await historyStore.listCoins()).sort(), ['bitcoin', 'delisted', 'ethereum']);
+});
+
+test('cleanupOldChartFiles never removes a coin in the set, even when listed as expired', async () => {
+  await seed(['bitcoin']);
+
+  await cleanupOldChartFiles(coins, new Set(['bitcoin']));
+
+  assert.equal(chartFiles().length, 3);
+  assert.deepEqual(await historyStore.listCoins(), ['bitcoin']);
+});
+
+test('cleanupOldChartFiles leaves files that aren\'t charts alone', async () => {
+  await seed([]);
+  fs.writeFileSync(path.join(config.charts.dir, 'README.txt'), 'notes');
+
+  await cleanupOldChartFiles(coins, new Set(['README.txt', 'README']));
+
+  assert.deepEqual(chartFiles(), ['README.txt']);
+});
+
+test('cleanupOldChartFiles copes with a missing chart directory', async () => {
+  fs.rmSync(config.dataDir, { recursive: true, force: true });
+
+  await cleanupOldChartFiles(coins, new Set(['expired']));
+
+  assert.deepEqual(chartFiles(), []);
+});
+
+test('cleanupOldChartFiles only plans the removals in a dry run', async () => {
+  await seed(['bitcoin', 'expired']);
+  plan.charts.removed.length = 0;
+  config.dryRun = true;
+
+  try {
+    await cleanupOldChartFiles(coins, new Set(['expired']));
+  } finally {
+    config.dryRun = false;
+  }
+
+  assert.equal(chartFiles().length, 6);
+  assert.deepEqual(plan.charts.removed.sort(), ['expired.json', 'expired.json.gz', 'expired.min.json']);
+  assert.ok((await historyStore.listCoins()).includes('expired'));
+});
+
+test('describeSetChanges lists the coins that entered and left since the previous run', () => {
+  const items = [{ fieldData: { 'coingecko-id': 'dogecoin', name: 'Dogecoin' } }];
+
+  assert.deepEqual(describeSetChanges(coins, undefined, items), []);
+  assert.deepEqual(describeSetChanges(coins, ['bitcoin', 'dogecoin', 'tron'], items), [
+    { id: 'ethereum', name: 'Ethereum', change: 'entered' },
+    { id: 'dogecoin', name: 'Dogecoin', change: 'left' },
+    { id: 'tron', name: null, change: 'left' }
+  ]);
+});
+
+test('main applies the flags it is given, so --dry-run sends nothing', async () => {
+  fs.rmSync(config.dataDir, { recursive: true, force: true });
+  const fields = Object.keys(buildFieldData(createFakeApi().markets[0]));
+  const api = createFakeApi({ fields });
+  httpClient.useFetch(api.fetch);
+
+  try {
+    assert.equal(await main(['webflow', '--dry-run', '--top=2']), 0);
+    assert.equal(config.dryRun, true);
+    assert.equal(config.universe.topN, 2);
+  } finally {
+    delete process.env.UNIVERSE_TOP_N;
+    applyCommandLine([]);
+  }
+
+  assert.deepEqual(api.calls.filter(call => call.method !== 'GET'), []);
+  assert.ok(api.calls.some(call => call.host === 'api.webflow.com'));
+  assert.equal(api.items.size, 0);
+  assert.equal(config.dryRun, false);
+});
@@ -0,0 +1,324 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useScratchEnvironment } = require('./helpers/environment');
+const { createFakeApi } = require('./helpers/fake-api');
+
+const environment = useScratchEnvironment({ WEBFLOW_OPTIONAL_FIELDS: 'profile' });
+const { config } = require('../lib/config');
+const { httpClient } = require('../lib/http-client');
+const { fetchCoinUniverse } = require('../lib/coingecko');
+const {
+  fetchCollectionSchema, useCollectionSchema, getAllWebflowItems, buildFieldData, diffItems, applyItemChanges
+} = require('../lib/webflow');
+const { enrichProfiles, readProfile } = require('../lib/profiles');
+const { resetFieldMapping } = require('../lib/field-mapping');
+
+test.after(environment.cleanup);
+test.afterEach(() => useCollectionSchema(null));
+
+// The coin universe from the recorded markets (bitcoin, ethereum, cardano, chainlink, aave)
+async function loadCoins() {
+  httpClient.useFetch(createFakeApi().fetch);
+  return fetchCoinUniverse();
+}
+
+function item(id, fieldData, flags = {}) {
+  return { id, isArchived: false, isDraft: false, ...flags, fieldData };
+}
+
+// Fake API whose collection has every field the mapping writes, holding `items`
+function fakeWebflow(coins, items) {
+  const api = createFakeApi({ items, fields: Object.keys(buildFieldData(coins[0])) });
+  httpClient.useFetch(api.fetch);
+  return api;
+}
+
+// Like fakeWebflow, plus the profile fields as Webflow types them; categories are items of their own collection
+async function profileWebflow(coins, items) {
+  const fields = [
+    ...Object.keys(buildFieldData(coins[0])),
+    { slug: 'description', type: 'RichText' },
+    { slug: 'website', type: 'Link' },
+    { slug: 'explorer', type: 'Link' },
+    { slug: 'category', type: 'Option', validations: { options: [{ id: 'option-l1', name: 'Layer 1 (L1)' }, { id: 'option-oracle', name: 'Oracle' }] } },
+    { slug: 'categories', type: 'MultiReference', validations: { collectionId: 'categories' } },
+    { slug: 'genesis-date', type: 'DateTime' },
+    { slug: 'contract-address', type: 'PlainText' },
+    { slug: 'contract-addresses', type: 'RichText' }
+  ];
+  const categories = [
+    item('category-l1', { name: 'Layer 1 (L1)', slug: 'layer-1-l1' }),
+    item('category-pow', { name: 'Proof of Work', slug: 'proof-of-work-pow' }),
+    item('category-oracle', { name: 'Oracle', slug: 'oracle' })
+  ];
+  const api = createFakeApi({ items, fields, collections: { categories } });
+  httpClient.useFetch(api.fetch);
+  await useCollectionSchema(await fetchCollectionSchema());
+  // Profiles are recorded for bitcoin and chainlink only
+  await enrichProfiles(coins.filter(coin => ['bitcoin', 'chainlink'].includes(coin.id)));
+  return api;
+}
+
+async function reconcile(coins, options = {}) {
+  const existing = await getAllWebflowItems();
+  return applyItemChanges(diffItems(coins, existing, options));
+}
+
+const coinIdOf = entry => entry.fieldData['coingecko-id'];
+
+test('getAllWebflowItems reads every page of the collection', async () => {
+  const coins = await loadCoins();
+  const items = Array.from({ length: 250 }, (_, i) => item(`item-${i}`, { name: `Coin ${i}`, 'coingecko-id': `coin-${i}` }));
+  const api = fakeWebflow(coins, items);
+
+  const read = await getAllWebflowItems();
+
+  assert.equal(read.length, 250);
+  assert.deepEqual(api.calls.map(call => call.query.offset), ['0', '100', '200']);
+});
+
+test('getAllWebflowItems fails on an error response, after retrying 429s', async () => {
+  const coins = await loadCoins();
+  const api = fakeWebflow(coins, [item('a', { 'coingecko-id': 'bitcoin' })]);
+  api.fail({ path: '/v2/collections/test-collection/items', status: 429, times: 2 });
+
+  assert.equal((await getAllWebflowItems()).length, 1);
+  assert.equal(api.calls.length, 3);
+
+  api.fail({ path: '/v2/collections/test-collection/items', status: 403, body: { message: 'Forbidden' } });
+  await assert.rejects(getAllWebflowItems(), /403/);
+});
+
+test('fetchCollectionSchema returns the fields, or null when the collection can\'t be read', async () => {
+  const coins = await loadCoins();
+  fakeWebflow(coins, []);
+  const schema = await fetchCollectionSchema();
+  assert.ok(schema.fields.some(field => field.slug === 'coingecko-id'));
+
+  config.webflow.collectionId = 'missing';
+  try {
+    assert.equal(await fetchCollectionSchema(), null);
+  } finally {
+    config.webflow.collectionId = 'test-collection';
+  }
+});
+
+test('items are created, updated, restored, archived and deleted to match the coins', async () => {
+  const coins = await loadCoins();
+  const [bitcoin, ethereum, cardano] = coins;
+  const api = fakeWebflow(coins, [
+    // Up to date
+    item('btc', buildFieldData(bitcoin)),
+    // Stale price
+    item('eth', { ...buildFieldData(ethereum), 'price-2': '1' }),
+    // Archived when it left the set, now back
+    item('ada', buildFieldData(cardano), { isArchived: true }),
+    // Left the set: archived first, deleted once its grace period is over
+    item('old', { name: 'Old Coin', 'coingecko-id': 'old-coin' }),
+    item('expired', { name: 'Expired Coin', 'coingecko-id': 'expired-coin' }, { isArchived: true }),
+    // Matches no coin, so it is archived (WEBFLOW_UNMATCHED_ITEMS)
+    item('orphan', { name: 'Orphan' })
+  ]);
+
+  const results = await reconcile(coins, { expiredIds: new Set(['expired-coin']) });
+
+  assert.deepEqual(
+    { updated: results.updated, created: results.created, restored: results.restored, archived: results.archived, deleted: results.deleted, skipped: results.skipped, failed: results.failed },
+    { updated: 1, created: 2, restored: 1, archived: 2, deleted: 1, skipped: 1, failed: 0 }
+  );
+
+  const byCoin = new Map([...api.items.values()].map(entry => [coinIdOf(entry), entry]));
+  assert.deepEqual([...byCoin.keys()].filter(Boolean).sort(), ['aave', 'bitcoin', 'cardano', 'chainlink', 'ethereum', 'old-coin']);
+  assert.equal(byCoin.get('ethereum').fieldData['price-2'], buildFieldData(ethereum)['price-2']);
+  assert.equal(byCoin.get('cardano').id, 'ada');
+  assert.equal(byCoin.get('cardano').isArchived, false);
+  assert.equal(byCoin.get('old-coin').isArchived, true);
+  assert.ok(!api.items.has('expired'));
+  assert.equal(api.items.get('orphan').isArchived, true);
+  assert.ok(results.items.every(outcome => outcome.ok));
+  assert.equal(results.items.length, 7);
+
+  // A second pass has nothing left to do
+  const again = await reconcile(coins);
+  assert.equal(again.skipped, coins.length);
+  assert.equal(again.updated + again.created + again.archived + again.deleted, 0);
+});
+
+test('quarantined coins are left as they are', async () => {
+  const coins = await loadCoins();
+  const [bitcoin] = coins;
+  const api = fakeWebflow(coins, [item('btc', { ...buildFieldData(bitcoin), 'price-2': '1' })]);
+
+  const results = await reconcile(coins, { quarantinedIds: new Set(['bitcoin', 'aave']) });
+
+  assert.equal(results.quarantined, 2);
+  assert.equal(api.items.get('btc').fieldData['price-2'], '1');
+  assert.ok(![...api.items.values()].some(entry => coinIdOf(entry) === 'aave'));
+});
+
+test('duplicate items are merged into one and the others deleted', async () => {
+  const coins = await loadCoins();
+  const [bitcoin] = coins;
+  const api = fakeWebflow(coins, [
+    item('btc', { ...buildFieldData(bitcoin), 'price-2': '1' }),
+    item('btc-copy', buildFieldData(bitcoin))
+  ]);
+
+  const results = await reconcile(coins);
+
+  assert.equal(results.deleted, 1);
+  assert.ok(!api.items.has('btc-copy'));
+  assert.equal(api.items.get('btc').fieldData['price-2'], buildFieldData(bitcoin)['price-2']);
+  assert.deepEqual(results.reconciled.map(action => action.type), ['duplicate']);
+});
+
+test('deletions over MAX_DELETES_PER_RUN are refused and the items archived instead', async () => {
+  const coins = await loadCoins();
+  const gone = ['gone-1', 'gone-2', 'gone-3'];
+  const api = fakeWebflow(coins, gone.map(id => item(id, { name: id, 'coingecko-id': id })));
+  config.guardrails.maxDeletesPerRun = 2;
+
+  try {
+    const results = await reconcile(coins, { expiredIds: new Set(gone) });
+    assert.equal(results.deletesRefused, 3);
+    assert.equal(results.deleted, 0);
+    assert.equal(results.archived, 3);
+    assert.ok(gone.every(id => api.items.get(id).isArchived));
+  } finally {
+    config.guardrails.maxDeletesPerRun = 10;
+  }
+});
+
+test('rate limited bulk writes are retried', async () => {
+  const coins = await loadCoins();
+  const api = fakeWebflow(coins, []);
+  api.fail({ method: 'POST', path: '/v2/collections/test-collection/items', status: 429 });
+
+  const results = await reconcile(coins);
+
+  assert.equal(results.created, coins.length);
+  assert.equal(api.items.size, coins.length);
+});
+
+test('a validation error fails the chunk and is reported per item with its status and body', async () => {
+  const coins = await loadCoins();
+  // The collection lacks the price field
+  const fields = Object.keys(buildFieldData(coins[0])).filter(slug => slug !== 'price-2');
+  const api = createFakeApi({ items: [], fields });
+  httpClient.useFetch(api.fetch);
+
+  const results = await reconcile(coins);
+
+  assert.equal(results.created, 0);
+  assert.equal(results.failed, coins.length);
+  assert.equal(api.items.size, 0);
+  for (const outcome of results.items) {
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.status, 400);
+    assert.match(outcome.body, /price-2/);
+  }
+  assert.deepEqual(results.items.map(outcome => outcome.coingeckoId), coins.map(coin => coin.id));
+});
+
+test('a dry run plans the changes and sends nothing', async () => {
+  const coins = await loadCoins();
+  const api = fakeWebflow(coins, [item('old', { name: 'Old Coin', 'coingecko-id': 'old-coin' })]);
+  config.dryRun = true;
+
+  try {
+    const results = await reconcile(coins);
+    assert.equal(results.created, coins.length);
+    assert.equal(results.archived, 1);
+    assert.deepEqual(api.calls.filter(call => call.method !== 'GET'), []);
+    assert.equal(api.items.get('old').isArchived, false);
+  } finally {
+    config.dryRun = false;
+  }
+});
+
+test('optional fields are only written to Webflow once their group is enabled', async () => {
+  const [bitcoin] = await loadCoins();
+  bitcoin.analytics = { rank: 1, dominance: 54.2 };
+  assert.ok(!('market-cap-rank' in buildFieldData(bitcoin)));
+
+  const enabled = config.fields.webflowOptional;
+  config.fields.webflowOptional = [...enabled, 'analytics'];
+  resetFieldMapping();
+  try {
+    const fieldData = buildFieldData(bitcoin);
+    assert.equal(fieldData['market-cap-rank'], '1');
+    assert.equal(fieldData.dominance, '54.2');
+  } finally {
+    config.fields.webflowOptional = enabled;
+    resetFieldMapping();
+  }
+});
+
+test('profile fields are written as RichText, links, dates, options and references', async () => {
+  const coins = await loadCoins();
+  const api = await profileWebflow(coins, []);
+
+  const results = await reconcile(coins);
+
+  assert.equal(results.created, coins.length);
+  const byCoin = new Map([...api.items.values()].map(entry => [coinIdOf(entry), entry.fieldData]));
+  const bitcoin = byCoin.get('bitcoin');
+  assert.match(bitcoin.description, /^<p>Bitcoin is the first .*<\/p><p>It was created .*<a href="[^"]+">Satoshi Nakamoto<\/a>.*<\/p>$/);
+  assert.equal(bitcoin.website, 'http://www.bitcoin.org');
+  assert.equal(bitcoin['genesis-date'], '2009-01-03');
+  // "Cryptocurrency" is neither an option nor a category item
+  assert.equal(bitcoin.category, 'option-l1');
+  assert.deepEqual(bitcoin.categories, ['category-l1', 'category-pow']);
+
+  const chainlink = byCoin.get('chainlink');
+  assert.equal(chainlink.category, 'option-oracle');
+  assert.deepEqual(chainlink.categories, ['category-oracle']);
+  assert.equal(chainlink['contract-addresses'],
+    '<ul><li>ethereum: 0x514910771af9ca656af840dff83e8264ecf986ca</li><li>arbitrum-one: 0xf97f4df75117a78c1a5a0dbb814af92458539fb4</li></ul>');
+
+  // No profile cached, so no profile fields
+  assert.ok(!('description' in byCoin.get('ethereum')));
+
+  // Webflow's own rendering of the values doesn't count as a change
+  bitcoin.description = bitcoin.description.replace(/<p>/g, '<p id="">');
+  bitcoin['genesis-date'] = '2009-01-03T00:00:00.000Z';
+  bitcoin.categories.reverse();
+  const again = await reconcile(coins);
+  assert.equal(again.skipped, coins.length);
+});
+
+test('editor-owned fields are only filled in while empty, and profile fields stay without a profile', async () => {
+  const coins = await loadCoins();
+  const [bitcoin, ethereum] = coins;
+  const chainlink = coins.find(coin => coin.id === 'chainlink');
+  const api = await profileWebflow(coins, [
+    item('btc', { ...buildFieldData(bitcoin), description: '<p>Our own copy</p>' }),
+    item('eth', { ...buildFieldData(ethereum), website: 'https://ethereum.org' }),
+    item('link', { ...buildFieldData(chainlink), description: '' })
+  ]);
+
+  await reconcile(coins);
+
+  assert.equal(api.items.get('btc').fieldData.description, '<p>Our own copy</p>');
+  assert.equal(api.items.get('btc').fieldData.website, 'http://www.bitcoin.org');
+  assert.match(api.items.get('link').fieldData.description, /^<p>Chainlink is a decentralized oracle network/);
+  assert.equal(api.items.get('eth').fieldData.website, 'https://ethereum.org');
+});
+
+test('the editor copy of a deleted item comes back when its coin returns', async () => {
+  const coins = await loadCoins();
+  const api = await profileWebflow(coins, [
+    item('old', { name: 'Old Coin', 'coingecko-id': 'old-coin', description: '<p>Written by us</p>' }, { isArchived: true })
+  ]);
+
+  const results = await reconcile(coins, { expiredIds: new Set(['old-coin']) });
+  assert.equal(results.deleted, 1);
+  assert.deepEqual((await readProfile('old-coin')).editor_fields, { description: '<p>Written by us</p>' });
+
+  const returning = { ...coins[coins.length - 1], id: 'old-coin', name: 'Old Coin' };
+  await enrichProfiles([returning], { refresh: false });
+  await reconcile([...coins, returning]);
+
+  const created = [...api.items.values()].find(entry => coinIdOf(entry) === 'old-coin');
+  assert.equal(created.fieldData.description, '<p>Written by us</p>');
+});